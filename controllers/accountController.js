@@ -0,0 +1,128 @@
+const bcrypt = require('bcryptjs');
+const connectDB = require('../lib/db');
+const User = require('../lib/models/User');
+const accountDeletion = require('../lib/accountDeletion');
+const twoFactor = require('../lib/twoFactor');
+const loginThrottle = require('../lib/loginThrottle');
+const { rejectIfThrottled, rejectFailedAttempt } = require('../server/utils/throttleResponses');
+const { createExportArchive } = require('../lib/dataExport');
+const { config } = require('../server/utils/env');
+
+const deletionStatus = (user) => ({
+  pending: Boolean(user.deletion && user.deletion.scheduledFor),
+  requestedAt: (user.deletion && user.deletion.requestedAt) || null,
+  scheduledFor: (user.deletion && user.deletion.scheduledFor) || null,
+  gracePeriodDays: config.ACCOUNT_DELETION_GRACE_DAYS
+});
+
+class AccountController {
+  /**
+   * Download a zip archive of the user's personal data
+   */
+  static async exportData(req, res) {
+    try {
+      await connectDB();
+
+      const archive = await createExportArchive(req.user.userId);
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="vaani-export-${date}.zip"`);
+      res.set('Cache-Control', 'no-store');
+
+      archive.on('warning', (warning) => console.warn('Data export warning:', warning.message));
+      archive.on('error', (archiveErr) => {
+        console.error('Data export stream error:', archiveErr);
+        res.destroy(archiveErr);
+      });
+      return archive.pipe(res);
+    } catch (err) {
+      if (err.code === 'USER_NOT_FOUND') return res.status(404).json({ error: err.message });
+      console.error('Data export error:', err);
+      return res.status(500).json({ error: 'Failed to export data' });
+    }
+  }
+
+  static async getDeletion(req, res) {
+    try {
+      await connectDB();
+
+      const user = await User.findById(req.user.userId).select('deletion');
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      return res.json(deletionStatus(user));
+    } catch (err) {
+      console.error('Get deletion status error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Schedule account deletion after the grace period. Requires the password (and a 2FA code when
+   * enabled). Every session is signed out; signing back in allows cancelling.
+   */
+  static async requestDeletion(req, res) {
+    try {
+      await connectDB();
+
+      const { password, code, backupCode } = req.body || {};
+      if (!password) return res.status(400).json({ error: 'Password is required' });
+
+      const user = await User.findById(req.user.userId);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      const attempt = { user, mobileNumber: user.mobileNumber, ip: req.ip, userAgent: req.get('user-agent') };
+      // Same throttle as login, so a stolen access token isn't an unlimited password oracle
+      if (await rejectIfThrottled(res, attempt)) return;
+
+      const isMatch = await bcrypt.compare(password, user.password);
+      if (!isMatch) {
+        return rejectFailedAttempt(res, attempt, { reason: 'invalid_password', body: { error: 'Password is incorrect' } });
+      }
+
+      if (user.twoFactor && user.twoFactor.enabled) {
+        if (!code && !backupCode) {
+          return res.status(400).json({ error: 'Two-factor code is required', code: 'TWO_FACTOR_REQUIRED' });
+        }
+        try {
+          await twoFactor.verifySecondFactor(user._id, { code, backupCode });
+        } catch (verifyErr) {
+          if (!verifyErr.code || !verifyErr.code.startsWith('TWO_FACTOR_')) throw verifyErr;
+          if (verifyErr.code === 'TWO_FACTOR_INVALID_CODE') {
+            return rejectFailedAttempt(res, attempt, {
+              reason: 'invalid_2fa_code',
+              body: { error: verifyErr.message, code: verifyErr.code }
+            });
+          }
+          return res.status(400).json({ error: verifyErr.message, code: verifyErr.code });
+        }
+      }
+
+      await loginThrottle.recordSuccess(attempt);
+
+      const scheduledFor = await accountDeletion.scheduleDeletion(user._id);
+      return res.status(202).json({
+        pending: true,
+        scheduledFor,
+        gracePeriodDays: config.ACCOUNT_DELETION_GRACE_DAYS
+      });
+    } catch (err) {
+      console.error('Request account deletion error:', err);
+      return res.status(500).json({ error: 'Failed to schedule account deletion' });
+    }
+  }
+
+  static async cancelDeletion(req, res) {
+    try {
+      await connectDB();
+
+      const cancelled = await accountDeletion.cancelDeletion(req.user.userId);
+      if (!cancelled) return res.status(404).json({ error: 'No account deletion is pending' });
+      return res.json({ pending: false });
+    } catch (err) {
+      console.error('Cancel account deletion error:', err);
+      return res.status(500).json({ error: 'Failed to cancel account deletion' });
+    }
+  }
+}
+
+module.exports = AccountController;
@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const connectDB = require('../lib/db');
+const User = require('../lib/models/User');
+const LoginAttempt = require('../lib/models/LoginAttempt');
+const ApiKey = require('../lib/models/ApiKey');
+const sessions = require('../lib/sessions');
+const apiKeys = require('../lib/apiKeys');
+const { ROLES } = require('../lib/authorization');
+const { disconnectUser, disconnectApiKey } = require('../server/utils/socketEmitter');
+const { emitPresence } = require('../lib/privacy');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const BOT_ERROR_STATUS = {
+  BOT_INVALID: 400,
+  BOT_EXISTS: 409,
+  BOT_NOT_FOUND: 404,
+  API_KEY_INVALID_SCOPE: 400
+};
+
+const ADMIN_USER_FIELDS = 'username mobileNumber email role verified status lastActive suspendedAt suspendedReason suspendedBy createdAt';
+const BOT_FIELDS = 'username displayName isBot botCreatedBy status lastActive suspendedAt createdAt';
+
+// Never expose the key hash
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  bot: apiKey.user,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  lastUsedIp: apiKey.lastUsedIp || null,
+  expiresAt: apiKey.expiresAt || null,
+  revokedAt: apiKey.revokedAt || null
+});
+
+const sendBotError = (res, err, fallback) => {
+  if (BOT_ERROR_STATUS[err.code]) {
+    return res.status(BOT_ERROR_STATUS[err.code]).json({ error: err.message, code: err.code });
+  }
+  console.error(fallback, err);
+  return res.status(500).json({ error: 'Server error' });
+};
+
+class AdminController {
+  /**
+   * List users with optional search/role/suspension filters (page based)
+   */
+  static async listUsers(req, res) {
+    try {
+      await connectDB();
+
+      const { q, role, suspended } = req.query;
+      const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit || String(DEFAULT_PAGE_SIZE), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+      const query = {};
+      if (q) {
+        const pattern = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ username: pattern }, { mobileNumber: pattern }, { email: pattern }];
+      }
+      if (role) query.role = role;
+      if (suspended === 'true') query.suspendedAt = { $ne: null };
+      if (suspended === 'false') query.suspendedAt = null;
+
+      const [users, total] = await Promise.all([
+        User.find(query)
+          .select(ADMIN_USER_FIELDS)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        User.countDocuments(query)
+      ]);
+
+      return res.json({ users, page, limit, total, hasMore: page * limit < total });
+    } catch (err) {
+      console.error('Admin list users error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Suspend a user: blocks login, ends every session and disconnects their sockets
+   */
+  static async suspendUser(req, res) {
+    try {
+      await connectDB();
+
+      const { userId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+      }
+      if (String(userId) === String(req.user.userId)) {
+        return res.status(400).json({ error: 'You cannot suspend your own account' });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      if (user.role === 'admin') {
+        return res.status(403).json({ error: 'Admins cannot be suspended' });
+      }
+
+      user.suspendedAt = new Date();
+      user.suspendedReason = (req.body && req.body.reason) || '';
+      user.suspendedBy = req.user.userId;
+      user.status = 'offline';
+      await user.save();
+
+      await sessions.endAllSessions(user._id, { reason: 'suspended' });
+      disconnectUser(user._id, 'suspended');
+
+      await emitPresence(user._id, 'offline');
+
+      console.log(`🚫 User ${user._id} suspended by ${req.user.userId}`);
+      return res.json({ success: true, user: await User.findById(user._id).select(ADMIN_USER_FIELDS).lean() });
+    } catch (err) {
+      console.error('Admin suspend user error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Lift a suspension
+   */
+  static async unsuspendUser(req, res) {
+    try {
+      await connectDB();
+
+      const { userId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $unset: { suspendedAt: 1, suspendedReason: 1, suspendedBy: 1 } },
+        { new: true }
+      ).select(ADMIN_USER_FIELDS);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      console.log(`✅ User ${user._id} unsuspended by ${req.user.userId}`);
+      return res.json({ success: true, user });
+    } catch (err) {
+      console.error('Admin unsuspend user error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Change a user's role
+   */
+  static async setRole(req, res) {
+    try {
+      await connectDB();
+
+      const { userId } = req.params;
+      const { role } = req.body;
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      if (String(userId) === String(req.user.userId)) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+      }
+
+      const user = await User.findByIdAndUpdate(userId, { role }, { new: true }).select(ADMIN_USER_FIELDS);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      return res.json({ success: true, user });
+    } catch (err) {
+      console.error('Admin set role error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Login attempt audit trail, newest first
+   */
+  static async listLoginAttempts(req, res) {
+    try {
+      await connectDB();
+
+      const { userId, mobileNumber, ip, success } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), MAX_PAGE_SIZE);
+
+      const query = {};
+      if (userId) {
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+          return res.status(400).json({ error: 'Invalid user id' });
+        }
+        query.user = userId;
+      }
+      if (mobileNumber) query.mobileNumber = mobileNumber;
+      if (ip) query.ip = ip;
+      if (success === 'true' || success === 'false') query.success = success === 'true';
+      if (req.query.before) {
+        const before = new Date(req.query.before);
+        if (!isNaN(before.getTime())) query.createdAt = { $lt: before };
+      }
+
+      const attempts = await LoginAttempt.find(query)
+        .populate('user', 'username')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+
+      return res.json({
+        attempts,
+        nextBefore: attempts.length === limit ? attempts[attempts.length - 1].createdAt : null
+      });
+    } catch (err) {
+      console.error('Admin list login attempts error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Create a bot account. Bots cannot log in; they authenticate with API keys issued below.
+   */
+  static async createBot(req, res) {
+    try {
+      await connectDB();
+
+      const { username, displayName } = req.body || {};
+      const bot = await apiKeys.createBot({ username, displayName, createdBy: req.user.userId });
+
+      console.log(`🤖 Bot ${bot._id} (${bot.username}) created by ${req.user.userId}`);
+      return res.status(201).json({ success: true, bot: await User.findById(bot._id).select(BOT_FIELDS).lean() });
+    } catch (err) {
+      return sendBotError(res, err, 'Admin create bot error:');
+    }
+  }
+
+  /**
+   * List bot accounts with the number of active keys each has
+   */
+  static async listBots(req, res) {
+    try {
+      await connectDB();
+
+      const bots = await User.find({ isBot: true, deletedAt: null }).select(BOT_FIELDS).sort({ createdAt: -1 }).lean();
+      const counts = await ApiKey.aggregate([
+        {
+          $match: {
+            user: { $in: bots.map(bot => bot._id) },
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+          }
+        },
+        { $group: { _id: '$user', count: { $sum: 1 } } }
+      ]);
+      const countByBot = new Map(counts.map(c => [String(c._id), c.count]));
+
+      return res.json({
+        bots: bots.map(bot => ({ ...bot, activeKeys: countByBot.get(String(bot._id)) || 0 })),
+        scopes: apiKeys.SCOPES
+      });
+    } catch (err) {
+      console.error('Admin list bots error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Issue an API key for a bot. The raw key is only ever returned in this response.
+   */
+  static async createApiKey(req, res) {
+    try {
+      await connectDB();
+
+      const { botId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(botId)) {
+        return res.status(400).json({ error: 'Invalid bot id' });
+      }
+
+      const { name, scopes, expiresInDays } = req.body || {};
+      if (!Array.isArray(scopes)) {
+        return res.status(400).json({ error: 'scopes must be an array', code: 'API_KEY_INVALID_SCOPE' });
+      }
+      let expiresAt = null;
+      if (expiresInDays !== undefined && expiresInDays !== null) {
+        const days = Number(expiresInDays);
+        if (!Number.isFinite(days) || days <= 0) {
+          return res.status(400).json({ error: 'expiresInDays must be a positive number' });
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      }
+
+      const { apiKey, key } = await apiKeys.createApiKey({
+        botId,
+        name,
+        scopes,
+        expiresAt,
+        createdBy: req.user.userId
+      });
+
+      console.log(`🔑 API key ${apiKey.prefix} issued for bot ${botId} by ${req.user.userId}`);
+      return res.status(201).json({ success: true, key, apiKey: formatApiKey(apiKey) });
+    } catch (err) {
+      return sendBotError(res, err, 'Admin create API key error:');
+    }
+  }
+
+  /**
+   * List a bot's keys (without secrets), newest first
+   */
+  static async listApiKeys(req, res) {
+    try {
+      await connectDB();
+
+      const { botId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(botId)) {
+        return res.status(400).json({ error: 'Invalid bot id' });
+      }
+      if (!(await User.exists({ _id: botId, isBot: true }))) {
+        return res.status(404).json({ error: 'Bot not found', code: 'BOT_NOT_FOUND' });
+      }
+
+      const keys = await ApiKey.find({ user: botId }).sort({ createdAt: -1 }).lean();
+      return res.json({ apiKeys: keys.map(formatApiKey) });
+    } catch (err) {
+      console.error('Admin list API keys error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Revoke an API key; sockets connected with it are disconnected straight away
+   */
+  static async revokeApiKey(req, res) {
+    try {
+      await connectDB();
+
+      const { keyId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(keyId)) {
+        return res.status(400).json({ error: 'Invalid key id' });
+      }
+
+      const apiKey = await apiKeys.revokeApiKey(keyId);
+      if (!apiKey) return res.status(404).json({ error: 'API key not found or already revoked' });
+
+      disconnectApiKey(apiKey._id);
+
+      console.log(`🔒 API key ${apiKey.prefix} revoked by ${req.user.userId}`);
+      return res.json({ success: true, apiKey: formatApiKey(apiKey) });
+    } catch (err) {
+      console.error('Admin revoke API key error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+}
+
+module.exports = AdminController;
@@ -0,0 +1,77 @@
+const connectDB = require('../lib/db');
+const attachments = require('../lib/attachments');
+
+const ATTACHMENT_ERROR_STATUS = {
+  ATTACHMENT_INVALID_IMAGE: 400,
+  ATTACHMENT_NOT_FOUND: 404
+};
+
+const sendAttachmentError = (res, err, fallback) => {
+  if (ATTACHMENT_ERROR_STATUS[err.code]) {
+    return res.status(ATTACHMENT_ERROR_STATUS[err.code]).json({ error: err.message, code: err.code });
+  }
+  console.error(fallback, err);
+  return res.status(500).json({ error: 'Server error' });
+};
+
+// RFC 5987 filename for Content-Disposition, with an ASCII fallback
+const contentDisposition = (type, fileName) => {
+  const ascii = fileName.replace(/[^\x20-\x7e]/g, '_');
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+class AttachmentController {
+  /**
+   * Upload a file (multipart field "file"). Send it by passing the returned id in attachmentIds
+   * to POST /api/chat/message or the sendMessage socket event.
+   */
+  static async upload(req, res) {
+    try {
+      await connectDB();
+
+      const attachment = await attachments.saveAttachment(req.user.userId, req.file);
+      return res.status(201).json({ id: attachment._id, ...attachments.attachmentMeta(attachment) });
+    } catch (err) {
+      return sendAttachmentError(res, err, 'Attachment upload error:');
+    }
+  }
+
+  /**
+   * Download an attachment (?variant=thumbnail for the image preview). Only the uploader and
+   * members of the conversation it was sent to have access.
+   */
+  static async download(req, res) {
+    try {
+      await connectDB();
+
+      const attachment = await attachments.findAccessibleAttachment(req.params.attachmentId, req.user.userId);
+      const variant = req.query.variant === 'thumbnail' ? 'thumbnail' : 'original';
+
+      let opened;
+      try {
+        opened = await attachments.openAttachment(attachment, variant);
+      } catch (blobErr) {
+        if (blobErr.code !== 'BLOB_NOT_FOUND') throw blobErr;
+        return res.status(404).json({ error: 'Attachment not found', code: 'ATTACHMENT_NOT_FOUND' });
+      }
+
+      // Only images we generated or validated are shown inline; everything else is a download
+      const inline = variant === 'thumbnail' || attachment.kind === 'image';
+      res.set('Content-Type', opened.contentType);
+      res.set('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', attachment.fileName));
+      res.set('X-Content-Type-Options', 'nosniff');
+      res.set('Cache-Control', 'private, max-age=86400');
+      if (variant === 'original') res.set('Content-Length', String(attachment.size));
+
+      opened.stream.on('error', (streamErr) => {
+        console.error('Attachment stream error:', streamErr);
+        res.destroy(streamErr);
+      });
+      return opened.stream.pipe(res);
+    } catch (err) {
+      return sendAttachmentError(res, err, 'Attachment download error:');
+    }
+  }
+}
+
+module.exports = AttachmentController;
@@ -0,0 +1,256 @@
+const connectDB = require('../lib/db');
+const User = require('../lib/models/User');
+const Contact = require('../lib/models/Contact');
+const Block = require('../lib/models/Block');
+const contacts = require('../lib/contacts');
+const { PUBLIC_PROFILE_FIELDS, toPublicProfile } = require('../lib/profiles');
+const { emitToUser, getOnlineUserIds } = require('../server/utils/socketEmitter');
+
+const ERROR_STATUS = {
+  INVALID_USER_ID: 400,
+  CONTACT_SELF: 400,
+  USER_NOT_FOUND: 404,
+  CONTACT_REQUEST_NOT_FOUND: 404,
+  USER_BLOCKED: 403,
+  CONTACT_EXISTS: 409,
+  CONTACT_REQUEST_EXISTS: 409
+};
+
+// Map lib/contacts.js errors onto HTTP responses
+const sendContactError = (res, err, fallback) => {
+  if (ERROR_STATUS[err.code]) {
+    return res.status(ERROR_STATUS[err.code]).json({ error: err.message, code: err.code });
+  }
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ error: fallback });
+};
+
+// `relation` is how the recipient of the profile relates to its owner (see toPublicProfile)
+const loadProfile = async (userId, relation) => {
+  const user = await User.findById(userId).select(PUBLIC_PROFILE_FIELDS).lean();
+  return user ? toPublicProfile(user, relation) : null;
+};
+
+const AS_CONTACT = { isContact: true };
+
+// `other` is the profile of the requester (incoming) or recipient (outgoing)
+const formatRequest = (request, direction, other) => ({
+  id: String(request._id),
+  [direction === 'incoming' ? 'from' : 'to']: other,
+  message: request.message,
+  createdAt: request.createdAt
+});
+
+class ContactController {
+  /**
+   * Accepted contacts with their online status (?online=true for online contacts only)
+   */
+  static async listContacts(req, res) {
+    try {
+      await connectDB();
+
+      const userId = req.user.userId;
+      const edges = await Contact.find({
+        status: 'accepted',
+        $or: [{ requester: userId }, { recipient: userId }]
+      })
+        .populate('requester', PUBLIC_PROFILE_FIELDS)
+        .populate('recipient', PUBLIC_PROFILE_FIELDS)
+        .lean();
+
+      const entries = edges
+        .map(edge => ({
+          user: edge.requester && String(edge.requester._id) === String(userId) ? edge.recipient : edge.requester,
+          since: edge.acceptedAt || edge.updatedAt
+        }))
+        .filter(entry => entry.user);
+
+      const online = await getOnlineUserIds(entries.map(entry => entry.user._id));
+      let result = entries.map(entry => {
+        const profile = toPublicProfile(entry.user, AS_CONTACT);
+        return {
+          ...profile,
+          // Contacts who hide their online status from contacts always appear offline
+          online: profile.status !== null && online.has(String(entry.user._id)),
+          contactSince: entry.since
+        };
+      });
+      if (req.query.online === 'true' || req.query.online === '1') {
+        result = result.filter(contact => contact.online);
+      }
+      result.sort((a, b) => (b.online - a.online) || a.displayName.localeCompare(b.displayName));
+
+      return res.json({ contacts: result });
+    } catch (err) {
+      console.error('List contacts error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  static async removeContact(req, res) {
+    try {
+      await connectDB();
+
+      const removed = await contacts.removeContact(req.user.userId, req.params.userId);
+      if (!removed) return res.status(404).json({ error: 'Contact not found' });
+
+      emitToUser(req.params.userId, 'contactRemoved', { userId: String(req.user.userId) });
+      return res.json({ success: true });
+    } catch (err) {
+      return sendContactError(res, err, 'Failed to remove contact');
+    }
+  }
+
+  /**
+   * Pending requests (?direction=incoming|outgoing, default incoming)
+   */
+  static async listRequests(req, res) {
+    try {
+      await connectDB();
+
+      const outgoing = req.query.direction === 'outgoing';
+      const otherKey = outgoing ? 'recipient' : 'requester';
+      const requests = await Contact.find({
+        status: 'pending',
+        [outgoing ? 'requester' : 'recipient']: req.user.userId
+      })
+        .populate(otherKey, PUBLIC_PROFILE_FIELDS)
+        .sort({ createdAt: -1 })
+        .lean();
+
+      return res.json({
+        requests: requests
+          .filter(r => r[otherKey])
+          .map(r => formatRequest(r, outgoing ? 'outgoing' : 'incoming', toPublicProfile(r[otherKey])))
+      });
+    } catch (err) {
+      console.error('List contact requests error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Send a contact request; accepts instead if the other user already sent one
+   */
+  static async sendRequest(req, res) {
+    try {
+      await connectDB();
+
+      const { userId, message } = req.body || {};
+      if (!userId) return res.status(400).json({ error: 'userId is required' });
+
+      const { contact, accepted } = await contacts.sendRequest(req.user.userId, userId, { message });
+
+      if (accepted) {
+        emitToUser(userId, 'contactRequestAccepted', {
+          requestId: String(contact._id),
+          contact: await loadProfile(req.user.userId, AS_CONTACT)
+        });
+        return res.json({ accepted: true, contact: await loadProfile(userId, AS_CONTACT) });
+      }
+
+      emitToUser(userId, 'contactRequest', {
+        requestId: String(contact._id),
+        from: await loadProfile(req.user.userId),
+        message: contact.message,
+        createdAt: contact.createdAt
+      });
+      return res.status(201).json({ request: formatRequest(contact, 'outgoing', await loadProfile(userId)) });
+    } catch (err) {
+      return sendContactError(res, err, 'Failed to send contact request');
+    }
+  }
+
+  static async acceptRequest(req, res) {
+    try {
+      await connectDB();
+
+      const request = await contacts.acceptRequest(req.user.userId, req.params.requestId);
+      emitToUser(request.requester, 'contactRequestAccepted', {
+        requestId: String(request._id),
+        contact: await loadProfile(req.user.userId, AS_CONTACT)
+      });
+
+      return res.json({ accepted: true, contact: await loadProfile(request.requester, AS_CONTACT) });
+    } catch (err) {
+      return sendContactError(res, err, 'Failed to accept contact request');
+    }
+  }
+
+  // Declined requests are dropped silently; the requester is not notified
+  static async declineRequest(req, res) {
+    try {
+      await connectDB();
+
+      await contacts.declineRequest(req.user.userId, req.params.requestId);
+      return res.json({ success: true });
+    } catch (err) {
+      return sendContactError(res, err, 'Failed to decline contact request');
+    }
+  }
+
+  static async cancelRequest(req, res) {
+    try {
+      await connectDB();
+
+      const request = await contacts.cancelRequest(req.user.userId, req.params.requestId);
+      emitToUser(request.recipient, 'contactRequestCancelled', { requestId: String(request._id) });
+      return res.json({ success: true });
+    } catch (err) {
+      return sendContactError(res, err, 'Failed to cancel contact request');
+    }
+  }
+
+  static async listBlocked(req, res) {
+    try {
+      await connectDB();
+
+      const blocks = await Block.find({ blocker: req.user.userId })
+        .populate('blocked', PUBLIC_PROFILE_FIELDS)
+        .sort({ createdAt: -1 })
+        .lean();
+
+      return res.json({
+        blocked: blocks
+          .filter(b => b.blocked)
+          .map(b => ({ ...toPublicProfile(b.blocked), blockedAt: b.createdAt }))
+      });
+    } catch (err) {
+      console.error('List blocked users error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Block a user. The blocked user is not told; if they were a contact they just see it removed.
+   */
+  static async blockUser(req, res) {
+    try {
+      await connectDB();
+
+      const { userId } = req.body || {};
+      if (!userId) return res.status(400).json({ error: 'userId is required' });
+
+      const wasContact = await contacts.blockUser(req.user.userId, userId);
+      if (wasContact) emitToUser(userId, 'contactRemoved', { userId: String(req.user.userId) });
+
+      return res.json({ success: true });
+    } catch (err) {
+      return sendContactError(res, err, 'Failed to block user');
+    }
+  }
+
+  static async unblockUser(req, res) {
+    try {
+      await connectDB();
+
+      const removed = await contacts.unblockUser(req.user.userId, req.params.userId);
+      if (!removed) return res.status(404).json({ error: 'User is not blocked' });
+      return res.json({ success: true });
+    } catch (err) {
+      return sendContactError(res, err, 'Failed to unblock user');
+    }
+  }
+}
+
+module.exports = ContactController;
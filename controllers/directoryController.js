@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const connectDB = require('../lib/db');
+const User = require('../lib/models/User');
+const { getBlockedIds } = require('../lib/contacts');
+const { viewerContext, relationTo } = require('../lib/privacy');
+const { PUBLIC_PROFILE_FIELDS, toPublicProfile } = require('../lib/profiles');
+const { encodeCursor, decodeCursor, parseLimit } = require('../lib/pagination');
+const { getConnectedUserIds } = require('../server/utils/socketEmitter');
+
+const MAX_QUERY_LENGTH = 50;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Users whose online status this viewer may see (everyone, or contacts when the viewer is one)
+const onlineVisibleTo = (viewer) => ({
+  $or: [
+    { 'privacy.onlineStatus': { $in: ['everyone', null] } },
+    { 'privacy.onlineStatus': 'contacts', _id: { $in: [...viewer.contactIds].map(id => new mongoose.Types.ObjectId(id)) } }
+  ]
+});
+
+class DirectoryController {
+  /**
+   * Browse/search users, ordered by username.
+   * Query: q (prefix of username or display name), language, online (true|false), limit, cursor.
+   * Mobile numbers are only included for the caller's contacts.
+   */
+  static async listUsers(req, res) {
+    try {
+      await connectDB();
+
+      const userId = req.user.userId;
+      const limit = parseLimit(req.query.limit, { defaultLimit: 20, max: 50 });
+      const q = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase().slice(0, MAX_QUERY_LENGTH) : '';
+
+      let after = null;
+      if (req.query.cursor) {
+        after = decodeCursor(req.query.cursor);
+        if (!after || typeof after.u !== 'string' || !mongoose.Types.ObjectId.isValid(after.id)) {
+          return res.status(400).json({ error: 'Invalid cursor' });
+        }
+      }
+
+      const [viewer, blockedIds] = await Promise.all([viewerContext(userId), getBlockedIds(userId)]);
+      const hiddenIds = [userId, ...blockedIds].map(id => new mongoose.Types.ObjectId(id));
+
+      const conditions = [
+        { _id: { $nin: hiddenIds } },
+        { deletedAt: null },
+        { suspendedAt: null }
+      ];
+
+      if (q) {
+        const prefix = new RegExp(`^${escapeRegex(q)}`);
+        conditions.push({ $or: [{ usernameLower: prefix }, { displayNameLower: prefix }] });
+      }
+      if (typeof req.query.language === 'string' && req.query.language) {
+        conditions.push({ preferredLanguage: req.query.language });
+      }
+
+      if (req.query.online === 'true' || req.query.online === 'false') {
+        const onlineIds = getConnectedUserIds().map(id => new mongoose.Types.ObjectId(id));
+        const visiblyOnline = { $and: [{ _id: { $in: onlineIds } }, onlineVisibleTo(viewer)] };
+        conditions.push(req.query.online === 'true' ? visiblyOnline : { $nor: [visiblyOnline] });
+      }
+
+      if (after) {
+        conditions.push({
+          $or: [
+            { usernameLower: { $gt: after.u } },
+            { usernameLower: after.u, _id: { $gt: new mongoose.Types.ObjectId(after.id) } }
+          ]
+        });
+      }
+
+      const users = await User.find({ $and: conditions })
+        .select(`${PUBLIC_PROFILE_FIELDS} usernameLower mobileNumber`)
+        .sort({ usernameLower: 1, _id: 1 })
+        .limit(limit + 1)
+        .lean();
+
+      const hasMore = users.length > limit;
+      const page = hasMore ? users.slice(0, limit) : users;
+      const connected = new Set(getConnectedUserIds());
+
+      const results = page.map(user => {
+        const relation = relationTo(user._id, viewer);
+        const profile = toPublicProfile(user, relation);
+        return {
+          ...profile,
+          online: profile.status !== null && connected.has(String(user._id)),
+          isContact: relation.isContact,
+          ...(relation.isContact ? { mobileNumber: user.mobileNumber } : {})
+        };
+      });
+
+      const last = page[page.length - 1];
+      return res.json({
+        users: results,
+        hasMore,
+        nextCursor: hasMore && last ? encodeCursor({ u: last.usernameLower, id: String(last._id) }) : null
+      });
+    } catch (err) {
+      console.error('User directory error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+}
+
+module.exports = DirectoryController;
@@ -1,7 +1,10 @@
 const dbConnect = require('../lib/db');
 const GroupCall = require('../lib/models/GroupCall');
 const Room = require('../lib/models/Room');
+const User = require('../lib/models/User');
 const { v4: uuidv4 } = require('uuid');
+const { userRoom } = require('../server/utils/socketEmitter');
+const { getBlockedIds } = require('../lib/contacts');
 
 class GroupCallController {
   // In-memory timers for calls with single participant
@@ -59,6 +62,14 @@ class GroupCallController {
         );
       }
 
+      // Only users with a verified mobile number may place calls
+      const caller = await User.findById(userId).select('verified');
+      if (!caller || !caller.verified) {
+        return res.status(403).json(
+          { message: 'Verify your mobile number before placing calls', code: 'MOBILE_NOT_VERIFIED' }
+        );
+      }
+
       // Verify room exists and user is a participant
       const room = await Room.findById(roomId);
       if (!room) {
@@ -115,8 +126,12 @@ class GroupCallController {
       // Create unique call room ID
       const callRoomId = `group-call-${uuidv4()}`;
 
-      // Create participants array (all room members)
-      const participants = room.participants.map(participantId => ({
+      // Members who blocked the initiator (or were blocked by them) are neither invited nor rung
+      const blockedIds = await getBlockedIds(userId);
+      const invitees = room.participants.filter(participantId => !blockedIds.has(participantId.toString()));
+
+      // Create participants array (all reachable room members)
+      const participants = invitees.map(participantId => ({
         userId: participantId,
         status: participantId.toString() === userId.toString() ? 'joined' : 'invited',
         joinedAt: participantId.toString() === userId.toString() ? new Date() : undefined,
@@ -143,7 +158,7 @@ class GroupCallController {
       await groupCall.populate('roomId', 'name participants');
 
       // Emit socket event to notify all participants
-      console.log(`📞 Notifying ${room.participants.length} participants about group call in room: ${room.name}`);
+      console.log(`📞 Notifying ${invitees.length} participants about group call in room: ${room.name}`);
       
       try {
         if (global.__io) {
@@ -170,32 +185,20 @@ class GroupCallController {
                 }))
               };
           
-          // Fetch sockets in the chat room and notify each socket individually so we can exclude initiator
-          const roomSocketName = roomId.toString();
-          const socketsInRoom = await io.in(roomSocketName).fetchSockets();
-
-          if (socketsInRoom.length > 0) {
-            console.log(`   🎯 Found ${socketsInRoom.length} socket(s) in room ${roomSocketName}, sending individually (excluding initiator)`);
-          } else {
-            console.log(`   ℹ️ No sockets found in room ${roomSocketName}, will search all connected sockets`);
-          }
-
-          const allSockets = socketsInRoom.length > 0 ? socketsInRoom : Array.from(io.of('/').sockets.values());
-
-          // For each participant, find their sockets and emit the standard 'group_incoming_call' event, skipping initiator
-          room.participants.forEach(participantId => {
+          // For each participant, ring every connected device with the standard 'group_incoming_call' event, skipping initiator
+          for (const participantId of invitees) {
             const participantIdStr = participantId.toString();
 
             // Skip initiator
             if (participantIdStr === groupCall.initiator._id.toString()) {
-              return;
+              continue;
             }
 
-            const participantSockets = allSockets.filter(socket => socket.user && socket.user.userId === participantIdStr);
+            const participantSockets = await io.in(userRoom(participantIdStr)).fetchSockets();
 
             if (participantSockets.length === 0) {
               // No connected socket for this participant
-              return;
+              continue;
             }
 
             participantSockets.forEach(socket => {
@@ -204,7 +207,7 @@ class GroupCallController {
               notificationsSent++;
               notifiedParticipants.add(participantIdStr);
             });
-          });
+          }
           
           console.log(`   📤 Sent ${notificationsSent} notifications to ${notifiedParticipants.size} unique participants`);
           
@@ -2,19 +2,71 @@ const connectDB = require('../lib/db');
 const Chat = require('../lib/models/Chat');
 const User = require('../lib/models/User');
 const mongoose = require('mongoose');
+const { sendsReadReceipts } = require('../lib/privacy');
+const { aggregateReactions, findAccessibleMessage } = require('../lib/messages');
+const Room = require('../lib/models/Room');
+const { encodeCursor, decodeCursor, parseLimit } = require('../lib/pagination');
+const { unreadRoomCounts } = require('../lib/readReceipts');
+
+const HISTORY_PAGE_SIZE = { defaultLimit: 50, max: 100 };
+
+const populateHistory = (query) => query
+  .populate('sender', 'username displayName preferredLanguage isBot')
+  .populate('receiver', 'username displayName preferredLanguage isBot')
+  .populate('replyTo.sender', 'username displayName');
+
+// Messages are ordered by (timestamp, _id); cursors carry that pair
+const positionOf = (message) => ({ t: message.timestamp, id: message._id });
+
+const cursorFor = (message) => encodeCursor({ t: message.timestamp.getTime(), id: String(message._id) });
+
+const parsePosition = (cursor) => {
+  const value = decodeCursor(cursor);
+  if (!value || !Number.isFinite(value.t) || !mongoose.Types.ObjectId.isValid(value.id)) return null;
+  return { t: new Date(value.t), id: new mongoose.Types.ObjectId(value.id) };
+};
+
+/**
+ * Up to `limit` messages strictly older or newer than `position` (the newest messages when there
+ * is no position), returned oldest first
+ */
+async function fetchPage(query, position, direction, limit) {
+  if (limit <= 0) return { page: [], hasMore: false };
+  const op = direction === 'older' ? '$lt' : '$gt';
+  const order = direction === 'older' ? -1 : 1;
+  const filter = position
+    ? { $and: [query, { $or: [{ timestamp: { [op]: position.t } }, { timestamp: position.t, _id: { [op]: position.id } }] }] }
+    : query;
+
+  const docs = await populateHistory(Chat.find(filter))
+    .sort({ timestamp: order, _id: order })
+    .limit(limit + 1);
+
+  const page = docs.slice(0, limit);
+  if (direction === 'older') page.reverse();
+  return { page, hasMore: docs.length > limit };
+}
 
 class HistoryController {
   /**
-   * Get chat history
+   * Get chat history, one page at a time (oldest first within the page).
+   * - default: the latest `limit` messages
+   * - before=<cursor> / after=<cursor>: the page older / newer than a cursor from a previous page
+   * - around=<messageId>: the message with up to limit/2 messages on each side (jump to message)
+   * hasMore mirrors hasOlder for older clients.
    */
   static async getHistory(req, res) {
     try {
     await connectDB();
 
-    const { userId, roomId } = req.query;
+    const { userId, roomId, before, after, around } = req.query;
+    const limit = parseLimit(req.query.limit, HISTORY_PAGE_SIZE);
     let query = {};
 
     if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+      }
       // Direct messages between current user and userId
       const targetUserId = new mongoose.Types.ObjectId(userId);
       const currentUserId = new mongoose.Types.ObjectId(req.user.userId);
@@ -26,18 +78,83 @@ class HistoryController {
         room: { $exists: false }
       };
     } else if (roomId) {
-      // Messages in the room
-      query = { room: roomId };
+      // Bots only see rooms they have been added to
+      if (req.user.isBot && (!mongoose.Types.ObjectId.isValid(roomId) ||
+        !(await Room.exists({ _id: roomId, participants: req.user.userId })))) {
+        return res.status(403).json({ error: 'Bot is not a participant of this room' });
+      }
+      // Persisted rooms are members-only (removed members lose access)
+      if (mongoose.Types.ObjectId.isValid(roomId) && (await Room.exists({ _id: roomId })) &&
+        !(await Room.exists({ _id: roomId, $or: [{ participants: req.user.userId }, { admins: req.user.userId }] }))) {
+        return res.status(403).json({ error: 'You are not a member of this room' });
+      }
+      // Messages in the room; thread replies are fetched per thread (getThread)
+      query = { room: roomId, threadRoot: null };
     } else {
       return res.status(400).json({ error: 'userId or roomId required' });
     }
 
-    const messages = await Chat.find(query)
-      .populate('sender', 'username preferredLanguage')
-      .populate('receiver', 'username preferredLanguage')
-      .sort({ timestamp: 1 });
+    // Messages the user deleted for themselves
+    query.hiddenFor = { $ne: new mongoose.Types.ObjectId(req.user.userId) };
+
+    let docs;
+    let hasOlder;
+    let hasNewer;
+
+    if (around) {
+      if (!mongoose.Types.ObjectId.isValid(around)) {
+        return res.status(404).json({ error: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+      }
+      const anchor = await populateHistory(Chat.findOne({ $and: [query, { _id: around }] }));
+      if (!anchor) return res.status(404).json({ error: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+
+      const position = positionOf(anchor);
+      const olderLimit = Math.floor((limit - 1) / 2);
+      const older = await fetchPage(query, position, 'older', olderLimit);
+      const newer = await fetchPage(query, position, 'newer', limit - 1 - older.page.length);
+      docs = [...older.page, anchor, ...newer.page];
+      hasOlder = older.hasMore;
+      hasNewer = newer.hasMore;
+    } else {
+      const cursor = before || after;
+      let position = null;
+      if (cursor) {
+        position = parsePosition(cursor);
+        if (!position) return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      const direction = after && !before ? 'newer' : 'older';
+      const { page, hasMore } = await fetchPage(query, position, direction, limit);
+      docs = page;
+      // Paging from a cursor means the cursor's own message lies on the other side
+      hasOlder = direction === 'older' ? hasMore : true;
+      hasNewer = direction === 'newer' ? hasMore : Boolean(position);
+    }
+
+    // A partner with read receipts off: our messages to them never show as seen
+    const hideSeen = Boolean(userId) && !(await sendsReadReceipts(userId));
+
+    const messages = docs.map(message => {
+      const doc = message.toObject();
+      if (hideSeen && String(doc.sender && doc.sender._id) === String(req.user.userId) && doc.status === 'seen') {
+        doc.status = 'delivered';
+        delete doc.seenAt;
+      }
+      // Reactions grouped per emoji with the reacting users
+      doc.reactions = aggregateReactions(doc.reactions);
+      delete doc.hiddenFor;
+      return doc;
+    });
 
-    return res.json({ messages, hasMore: false });
+    const first = docs[0];
+    const last = docs[docs.length - 1];
+    return res.json({
+      messages,
+      hasMore: hasOlder,
+      hasOlder,
+      hasNewer,
+      prevCursor: hasOlder && first ? cursorFor(first) : null,
+      nextCursor: hasNewer && last ? cursorFor(last) : null
+    });
   } catch (err) {
     console.error('Get chat history error:', err);
     return res.status(500).json({ error: 'Server error' });
@@ -45,7 +162,54 @@ class HistoryController {
   }
 
   /**
-   * Get unread message counts per contact and room
+   * Get a thread: its root message and every reply, oldest first
+   */
+  static async getThread(req, res) {
+    try {
+      await connectDB();
+
+      let root;
+      try {
+        root = await findAccessibleMessage(req.params.messageId, req.user.userId);
+      } catch (err) {
+        if (err.code === 'MESSAGE_NOT_FOUND') return res.status(404).json({ error: err.message, code: err.code });
+        throw err;
+      }
+      if (!root.room) return res.status(400).json({ error: 'Threads are only available in rooms', code: 'THREAD_INVALID' });
+      if (root.threadRoot) {
+        return res.status(400).json({ error: 'Message is a thread reply', code: 'THREAD_INVALID', threadId: root.threadRoot });
+      }
+
+      const docs = await Chat.find({
+        $or: [{ _id: root._id }, { threadRoot: root._id }],
+        hiddenFor: { $ne: new mongoose.Types.ObjectId(req.user.userId) }
+      })
+        .populate('sender', 'username displayName preferredLanguage isBot')
+        .populate('replyTo.sender', 'username displayName')
+        .sort({ timestamp: 1 });
+
+      const messages = docs.map(message => {
+        const doc = message.toObject();
+        doc.reactions = aggregateReactions(doc.reactions);
+        delete doc.hiddenFor;
+        return doc;
+      });
+      const rootDoc = messages.find(doc => String(doc._id) === String(root._id)) || null;
+
+      return res.json({
+        root: rootDoc,
+        messages: messages.filter(doc => doc !== rootDoc),
+        replyCount: root.threadReplyCount,
+        lastReplyAt: root.threadLastReplyAt || null
+      });
+    } catch (err) {
+      console.error('Get thread error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  /**
+   * Get unread message counts per contact, room and thread
    */
   static async getUnreadCounts(req, res) {
     try {
@@ -59,8 +223,10 @@ class HistoryController {
         {
           $match: {
             receiver: currentUserId,
-            status: { $in: ['sent', 'delivered'] }, // Not seen yet
-            room: { $exists: false }
+            status: { $in: ['queued', 'sent', 'delivered'] }, // Not seen yet
+            room: { $exists: false },
+            deletedAt: null,
+            hiddenFor: { $ne: currentUserId }
           }
         },
         {
@@ -71,23 +237,8 @@ class HistoryController {
         }
       ]);
 
-      // Get unread counts for room messages (group chats)
-      // Messages in rooms where current user is not the sender and status is not 'seen'
-      const roomMessageCounts = await Chat.aggregate([
-        {
-          $match: {
-            room: { $exists: true },
-            sender: { $ne: currentUserId },
-            status: { $in: ['sent', 'delivered'] } // Not seen yet
-          }
-        },
-        {
-          $group: {
-            _id: '$room',
-            unreadCount: { $sum: 1 }
-          }
-        }
-      ]);
+      // Rooms and threads are counted against the user's own read cursors
+      const { unreadByRoom, unreadByThread } = await unreadRoomCounts(currentUserId);
 
       // Format the results
       const unreadByContact = {};
@@ -95,14 +246,10 @@ class HistoryController {
         unreadByContact[item._id.toString()] = item.unreadCount;
       });
 
-      const unreadByRoom = {};
-      roomMessageCounts.forEach(item => {
-        unreadByRoom[item._id] = item.unreadCount;
-      });
-
       return res.json({
         unreadByContact,
-        unreadByRoom
+        unreadByRoom,
+        unreadByThread
       });
     } catch (err) {
       console.error('Get unread counts error:', err);
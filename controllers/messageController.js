@@ -1,120 +1,253 @@
 const connectDB = require('../lib/db');
 const Chat = require('../lib/models/Chat');
-const User = require('../lib/models/User');
+const { emitToUser, emitToConversation } = require('../server/utils/socketEmitter');
+const messages = require('../lib/messages');
+const attachments = require('../lib/attachments');
+const voiceNotes = require('../lib/voiceNotes');
+const { loadMessage, publishMessage } = require('../lib/messageDelivery');
+const { resolveKey, sendOnce } = require('../lib/messageIdempotency');
+const { scheduleTranslation } = require('../lib/messageTranslations');
+
+const MESSAGE_ERROR_STATUS = {
+  MESSAGE_INVALID: 400,
+  BOT_ROOM_FORBIDDEN: 403,
+  ROOM_FORBIDDEN: 403,
+  MESSAGE_NOT_FOUND: 404,
+  MESSAGE_EDIT_FORBIDDEN: 403,
+  MESSAGE_EDIT_WINDOW_EXPIRED: 403,
+  MESSAGE_DELETE_FORBIDDEN: 403,
+  MESSAGE_DELETED: 409,
+  REACTION_INVALID: 400,
+  REACTION_LIMIT: 409,
+  THREAD_INVALID: 400,
+  ATTACHMENT_INVALID: 400,
+  ATTACHMENT_NOT_FOUND: 404,
+  VOICE_NOTE_INVALID: 400,
+  USER_BLOCKED: 403,
+  MESSAGE_EDIT_CONFLICT: 409,
+  IDEMPOTENCY_KEY_INVALID: 400,
+  IDEMPOTENCY_IN_PROGRESS: 409
+};
+
+// A retried send (same clientTempId / Idempotency-Key) gets the message stored the first time
+const sendReplayed = async (res, messageId, clientTempId) => {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(200).json(await loadMessage(messageId, { clientTempId }));
+};
+
+const sendMessageError = (res, err, fallback) => {
+  if (MESSAGE_ERROR_STATUS[err.code]) {
+    return res.status(MESSAGE_ERROR_STATUS[err.code]).json({ error: err.message, code: err.code });
+  }
+  console.error(fallback, err);
+  return res.status(500).json({ error: 'Server error' });
+};
 
 class MessageController {
   /**
-   * Send a message
+   * Send a message. A retry carrying the same clientTempId (or Idempotency-Key header) returns the
+   * message saved the first time instead of sending it again.
    */
   static async sendMessage(req, res) {
     try {
       await connectDB();
 
       const decoded = req.user; // From authentication middleware
-      const { receiverId, content, roomId, clientTempId } = req.body;
+      const { receiverId, content, roomId, clientTempId, replyToId, threadId, attachmentIds } = req.body;
+
+      const key = resolveKey(req.get('Idempotency-Key'), clientTempId);
+      const { message: newMessage, messageId } = await sendOnce(decoded.userId, key, async () => {
+        const prepared = await messages.prepareMessage({
+          sender: decoded,
+          content,
+          roomId,
+          receiverId,
+          replyToId,
+          threadId,
+          attachmentIds
+        });
+        return messages.saveMessage(prepared);
+      });
+      if (messageId) return sendReplayed(res, messageId, clientTempId);
 
-      if (!content) {
-        return res.status(400).json({ error: 'Message content is required' });
+      await messages.recordSentMessage(newMessage);
+
+      const populatedMessage = await publishMessage(newMessage, { clientTempId });
+      // Translations for the other members follow in a messageTranslated event
+      scheduleTranslation(newMessage._id);
+      return res.status(201).json(populatedMessage);
+    } catch (err) {
+      if (MESSAGE_ERROR_STATUS[err.code]) return sendMessageError(res, err, 'Error saving message:');
+      console.error('Error saving message:', err);
+      if (err.message.includes('authorization')) {
+        return res.status(401).json({ msg: err.message });
       }
+      return res.status(500).json({ error: 'Failed to save message' });
+    }
+  }
+
+  /**
+   * Send a recorded voice note (multipart field "audio" plus receiverId or roomId, and optionally
+   * durationMs, replyToId, threadId, clientTempId). The transcript follows in a
+   * voiceNoteTranscribed event.
+   */
+  static async sendVoiceNote(req, res) {
+    let attachment = null;
+    let saved = false;
+    try {
+      await connectDB();
+
+      const decoded = req.user;
+      const { receiverId, roomId, clientTempId, replyToId, threadId, durationMs } = req.body;
+
+      const resolvedDurationMs = voiceNotes.resolveDurationMs(req.file, durationMs);
+      const key = resolveKey(req.get('Idempotency-Key'), clientTempId);
+      const { message: newMessage, messageId } = await sendOnce(decoded.userId, key, async () => {
+        attachment = await attachments.saveAttachment(decoded.userId, req.file);
 
-      const sender = await User.findById(decoded.userId);
-      const originalLanguage = sender.preferredLanguage || 'en';
-
-      const newMessage = new Chat({
-        sender: decoded.userId,
-        originalContent: content,
-        content: content,
-        originalLanguage,
-        // mark as sent when saved to DB
-        status: 'sent',
-        timestamp: new Date(),
-        translations: new Map()
+        const prepared = await messages.prepareMessage({
+          sender: decoded,
+          content: '',
+          roomId,
+          receiverId,
+          replyToId,
+          threadId,
+          attachmentIds: [attachment._id]
+        });
+        prepared.voiceNote = { durationMs: resolvedDurationMs, transcriptStatus: 'pending' };
+        return messages.saveMessage(prepared);
       });
+      if (messageId) return sendReplayed(res, messageId, clientTempId);
+      saved = true;
 
-      if (roomId) {
-        newMessage.room = roomId;
-        newMessage.isGroupMessage = true;
-      } else if (receiverId) {
-        newMessage.receiver = receiverId;
-      } else {
-        return res.status(400).json({ error: 'Either receiverId or roomId is required' });
+      await messages.recordSentMessage(newMessage);
+
+      const populatedMessage = await publishMessage(newMessage, { clientTempId });
+      voiceNotes.scheduleTranscription(newMessage._id, req.file.buffer);
+
+      return res.status(201).json(populatedMessage);
+    } catch (err) {
+      // Don't keep the audio of a note that was never sent (a saved note keeps it)
+      if (attachment && !saved) {
+        await attachments.removeAttachments([attachment._id]).catch(() => {});
       }
+      return sendMessageError(res, err, 'Error sending voice note:');
+    }
+  }
+
+  /**
+   * Edit one of your own messages (within the edit window)
+   */
+  static async editMessage(req, res) {
+    try {
+      await connectDB();
 
-      await newMessage.save();
+      const message = await messages.editMessage({
+        messageId: req.params.messageId,
+        userId: req.user.userId,
+        content: req.body && req.body.content
+      });
 
-      let populatedMessage = await Chat.findById(newMessage._id)
-        .populate('sender', 'username preferredLanguage')
-        .populate('receiver', 'username preferredLanguage');
+      emitToConversation(message, 'messageEdited', messages.messageEditedPayload(message));
 
-      // Attach clientTempId to the emitted/returned object so clients can correlate optimistic sends
-      try {
-        populatedMessage = populatedMessage.toObject();
-        if (clientTempId) populatedMessage.clientTempId = clientTempId;
-      } catch (e) {
-        // If toObject isn't available, set directly
-        if (clientTempId) populatedMessage.clientTempId = clientTempId;
-      }
+      const populated = await Chat.findById(message._id)
+        .populate('sender', 'username displayName preferredLanguage isBot')
+        .populate('receiver', 'username displayName preferredLanguage isBot');
+      return res.json(populated);
+    } catch (err) {
+      return sendMessageError(res, err, 'Error editing message:');
+    }
+  }
 
-      // Emit the saved/populated message to connected clients via Socket.IO
-      try {
-        const io = global.__io;
-        if (io) {
-          if (roomId) {
-            // Emit to the room so all joined sockets receive the saved message
-            io.to(roomId).emit('receiveMessage', populatedMessage);
-          } else if (receiverId) {
-            // Emit to the RECEIVER's connected sockets
-            const sockets = Array.from(io.of('/').sockets.values());
-            sockets.forEach(s => {
-              if (s.user && (s.user.userId === receiverId || s.user.userId === receiverId.toString())) {
-                console.log(`📨 [messageController] Sending receiveMessage to receiver: socket ${s.id}`);
-                io.to(s.id).emit('receiveMessage', populatedMessage);
-              }
-            });
-            
-            // ALSO emit to SENDER so they can replace optimistic message with persisted one
-            sockets.forEach(s => {
-              if (s.user && (s.user.userId === decoded.userId || s.user.userId === decoded.userId.toString())) {
-                console.log(`📨 [messageController] Sending receiveMessage to sender: socket ${s.id}`);
-                io.to(s.id).emit('receiveMessage', populatedMessage);
-              }
-            });
-          }
-        }
-      } catch (emitErr) {
-        console.warn('Failed to emit saved message via Socket.IO:', emitErr);
-      }
+  /**
+   * Delete a message for yourself (?scope=me, default) or for everyone (?scope=everyone)
+   */
+  static async deleteMessage(req, res) {
+    try {
+      await connectDB();
 
-      // Inform sender sockets about the persisted status (sent)
-      try {
-        const io = global.__io;
-        if (io) {
-          const sockets = Array.from(io.of('/').sockets.values());
-          const msgId = populatedMessage._id || populatedMessage.id;
-          console.log(`✅ [messageController] Emitting messageStatusUpdate to sender (userId=${decoded.userId}): messageId=${msgId}, status=sent, clientTempId=${clientTempId}`);
-          
-          sockets.forEach(s => {
-            if (s.user && (s.user.userId === decoded.userId || s.user.userId === decoded.userId.toString())) {
-              console.log(`   📤 Sending to socket ${s.id}`);
-              io.to(s.id).emit('messageStatusUpdate', {
-                messageId: msgId,
-                status: 'sent',
-                clientTempId: clientTempId || null
-              });
-            }
-          });
-        }
-      } catch (statusErr) {
-        console.warn('Failed to emit messageStatusUpdate to sender sockets:', statusErr);
+      const scope = req.query.scope || (req.body && req.body.scope) || 'me';
+      const message = await messages.deleteMessage({
+        messageId: req.params.messageId,
+        userId: req.user.userId,
+        scope
+      });
+
+      const payload = messages.messageDeletedPayload(message, scope);
+      if (scope === 'everyone') {
+        emitToConversation(message, 'messageDeleted', payload);
+      } else {
+        emitToUser(req.user.userId, 'messageDeleted', payload);
       }
 
-      return res.status(201).json(populatedMessage);
+      return res.json({ success: true, ...payload });
     } catch (err) {
-      console.error('Error saving message:', err);
-      if (err.message.includes('authorization')) {
-        return res.status(401).json({ msg: err.message });
-      }
-      return res.status(500).json({ error: 'Failed to save message' });
+      return sendMessageError(res, err, 'Error deleting message:');
+    }
+  }
+
+  /**
+   * React to a message with an emoji
+   */
+  static async addReaction(req, res) {
+    try {
+      await connectDB();
+
+      const emoji = req.body && req.body.emoji;
+      const { message, changed } = await messages.addReaction({
+        messageId: req.params.messageId,
+        userId: req.user.userId,
+        emoji
+      });
+
+      const payload = messages.messageReactionPayload(message, { userId: req.user.userId, emoji, action: 'added' });
+      if (changed) emitToConversation(message, 'messageReaction', payload);
+
+      return res.json({ success: true, messageId: message._id, reactions: payload.reactions });
+    } catch (err) {
+      return sendMessageError(res, err, 'Error adding reaction:');
+    }
+  }
+
+  /**
+   * Remove your reaction (the emoji is URL-encoded in the path)
+   */
+  static async removeReaction(req, res) {
+    try {
+      await connectDB();
+
+      const { emoji } = req.params;
+      const { message, changed } = await messages.removeReaction({
+        messageId: req.params.messageId,
+        userId: req.user.userId,
+        emoji
+      });
+
+      const payload = messages.messageReactionPayload(message, { userId: req.user.userId, emoji, action: 'removed' });
+      if (changed) emitToConversation(message, 'messageReaction', payload);
+
+      return res.json({ success: true, messageId: message._id, reactions: payload.reactions });
+    } catch (err) {
+      return sendMessageError(res, err, 'Error removing reaction:');
+    }
+  }
+
+  /**
+   * Previous versions of a message, oldest first
+   */
+  static async getEditHistory(req, res) {
+    try {
+      await connectDB();
+
+      const message = await messages.findAccessibleMessage(req.params.messageId, req.user.userId);
+      return res.json({
+        messageId: message._id,
+        content: message.content,
+        editedAt: message.editedAt || null,
+        edits: message.editHistory
+      });
+    } catch (err) {
+      return sendMessageError(res, err, 'Error loading message edit history:');
     }
   }
 }
@@ -0,0 +1,57 @@
+const connectDB = require('../lib/db');
+const { findAccessibleMessage } = require('../lib/messages');
+const readReceipts = require('../lib/readReceipts');
+
+const RECEIPT_ERROR_STATUS = {
+  ROOM_NOT_FOUND: 404,
+  MESSAGE_NOT_FOUND: 404
+};
+
+const sendReceiptError = (res, err, fallback) => {
+  if (RECEIPT_ERROR_STATUS[err.code]) {
+    return res.status(RECEIPT_ERROR_STATUS[err.code]).json({ error: err.message, code: err.code });
+  }
+  console.error(fallback, err);
+  return res.status(500).json({ error: 'Server error' });
+};
+
+class ReadReceiptController {
+  /**
+   * Mark a room read up to messageId, or up to its newest message. Pass threadId to mark a
+   * thread instead of the room timeline.
+   */
+  static async markRoomRead(req, res) {
+    try {
+      await connectDB();
+
+      const { threadId, messageId } = req.body || {};
+      const cursor = await readReceipts.markRoomRead({
+        userId: req.user.userId,
+        roomId: req.params.roomId,
+        threadId: threadId || null,
+        messageId: messageId || null
+      });
+      return res.json(cursor);
+    } catch (err) {
+      return sendReceiptError(res, err, 'Error marking room read:');
+    }
+  }
+
+  /**
+   * Recipients who have received / read a message (members with read receipts off are never
+   * listed as having read it)
+   */
+  static async getSeenBy(req, res) {
+    try {
+      await connectDB();
+
+      const message = await findAccessibleMessage(req.params.messageId, req.user.userId);
+      const receipts = await readReceipts.getReceipts(message);
+      return res.json({ messageId: message._id, ...receipts });
+    } catch (err) {
+      return sendReceiptError(res, err, 'Error loading read receipts:');
+    }
+  }
+}
+
+module.exports = ReadReceiptController;
@@ -1,6 +1,7 @@
 const connectDB = require('../lib/db');
 const Room = require('../lib/models/Room');
 const User = require('../lib/models/User');
+const { emitToUsers } = require('../server/utils/socketEmitter');
 
 class RoomController {
   /**
@@ -79,20 +80,9 @@ class RoomController {
 
       // Emit socket event to participants so clients update automatically
       try {
-        const io = global.__io;
-        if (io) {
-          // Notify each participant's socket if they're connected
-          populatedRoom.participants.forEach(p => {
-            // try to find a socket for this user
-            const sockets = Array.from(io.of('/').sockets.values());
-            sockets.forEach(s => {
-              if (s.user && (s.user.userId === p._id.toString() || s.user.userId === p._id)) {
-                io.to(s.id).emit('roomCreated', populatedRoom);
-              }
-            });
-          });
-          console.log('Emitted roomCreated to participants');
-        }
+        // Notify every connected device of each participant
+        emitToUsers(populatedRoom.participants.map(p => p._id), 'roomCreated', populatedRoom);
+        console.log('Emitted roomCreated to participants');
       } catch (emitErr) {
         console.warn('Failed to emit roomCreated event:', emitErr);
       }
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const connectDB = require('../lib/db');
+const Chat = require('../lib/models/Chat');
+const Room = require('../lib/models/Room');
+const { encodeCursor, decodeCursor, parseLimit } = require('../lib/pagination');
+const { aggregateReactions } = require('../lib/messages');
+const { MAX_QUERY_LENGTH, parseSearchTerms, messageHighlights } = require('../lib/messageSearch');
+
+const ATTACHMENT_TYPES = ['image', 'video', 'audio', 'document', 'file'];
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+class SearchController {
+  /**
+   * Search the caller's DMs and rooms for messages whose text or any stored translation contains
+   * the keywords in `q`. Filters: userId (DM partner), roomId, senderId, from/to (dates),
+   * attachmentType (image|video|audio|document|file|any). Newest first, paged with `cursor`.
+   */
+  static async searchMessages(req, res) {
+    try {
+      await connectDB();
+
+      const me = new mongoose.Types.ObjectId(req.user.userId);
+      const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, MAX_QUERY_LENGTH) : '';
+      const terms = parseSearchTerms(q);
+      if (terms.length === 0) {
+        return res.status(400).json({ error: 'A search query (q) is required' });
+      }
+
+      const limit = parseLimit(req.query.limit, { defaultLimit: 20, max: 50 });
+      const { userId, roomId, senderId, from, to, attachmentType } = req.query;
+
+      // Only conversations the caller is part of
+      const rooms = await Room.find({ $or: [{ participants: me }, { admins: me }] }).select('_id').lean();
+      const roomIds = rooms.map(room => String(room._id));
+
+      let scope;
+      if (roomId) {
+        if (!roomIds.includes(String(roomId))) return res.status(404).json({ error: 'Room not found' });
+        scope = { room: String(roomId) };
+      } else if (userId) {
+        if (!mongoose.Types.ObjectId.isValid(userId)) return res.status(400).json({ error: 'Invalid user id' });
+        const partner = new mongoose.Types.ObjectId(userId);
+        scope = {
+          $or: [{ sender: me, receiver: partner }, { sender: partner, receiver: me }],
+          room: { $exists: false }
+        };
+      } else {
+        scope = {
+          $or: [
+            { sender: me, receiver: { $exists: true } },
+            { receiver: me },
+            { room: { $in: roomIds } }
+          ]
+        };
+      }
+
+      const conditions = [
+        { $text: { $search: q } },
+        scope,
+        { deletedAt: null },
+        { hiddenFor: { $ne: me } }
+      ];
+
+      if (senderId) {
+        if (!mongoose.Types.ObjectId.isValid(senderId)) return res.status(400).json({ error: 'Invalid sender id' });
+        conditions.push({ sender: new mongoose.Types.ObjectId(senderId) });
+      }
+
+      if (from || to) {
+        const range = {};
+        if (from) {
+          range.$gte = parseDate(from);
+          if (!range.$gte) return res.status(400).json({ error: 'Invalid from date' });
+        }
+        if (to) {
+          range.$lte = parseDate(to);
+          if (!range.$lte) return res.status(400).json({ error: 'Invalid to date' });
+        }
+        conditions.push({ timestamp: range });
+      }
+
+      if (attachmentType) {
+        if (attachmentType === 'any') {
+          conditions.push({ 'attachments.0': { $exists: true } });
+        } else if (ATTACHMENT_TYPES.includes(attachmentType)) {
+          conditions.push({ 'attachments.kind': attachmentType });
+        } else {
+          return res.status(400).json({ error: `attachmentType must be one of: any, ${ATTACHMENT_TYPES.join(', ')}` });
+        }
+      }
+
+      if (req.query.cursor) {
+        const cursor = decodeCursor(req.query.cursor);
+        if (!cursor || !Number.isFinite(cursor.t) || !mongoose.Types.ObjectId.isValid(cursor.id)) {
+          return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        const t = new Date(cursor.t);
+        const id = new mongoose.Types.ObjectId(cursor.id);
+        conditions.push({ $or: [{ timestamp: { $lt: t } }, { timestamp: t, _id: { $lt: id } }] });
+      }
+
+      const docs = await Chat.find({ $and: conditions })
+        .populate('sender', 'username displayName preferredLanguage isBot')
+        .populate('receiver', 'username displayName preferredLanguage isBot')
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit + 1);
+
+      const hasMore = docs.length > limit;
+      const page = docs.slice(0, limit);
+
+      const results = page.map(message => {
+        const doc = message.toObject();
+        doc.reactions = aggregateReactions(doc.reactions);
+        delete doc.hiddenFor;
+        return { message: doc, highlights: messageHighlights(message, terms) };
+      });
+
+      const last = page[page.length - 1];
+      return res.json({
+        results,
+        hasMore,
+        nextCursor: hasMore && last ? encodeCursor({ t: last.timestamp.getTime(), id: String(last._id) }) : null
+      });
+    } catch (err) {
+      console.error('Message search error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+}
+
+module.exports = SearchController;
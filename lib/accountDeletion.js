@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const User = require('./models/User');
+const Chat = require('./models/Chat');
+const Room = require('./models/Room');
+const GroupCall = require('./models/GroupCall');
+const Contact = require('./models/Contact');
+const Block = require('./models/Block');
+const Session = require('./models/Session');
+const RefreshToken = require('./models/RefreshToken');
+const OtpCode = require('./models/OtpCode');
+const PasswordResetToken = require('./models/PasswordResetToken');
+const LoginAttempt = require('./models/LoginAttempt');
+const sessions = require('./sessions');
+const tokens = require('./tokens');
+const { removeAvatar } = require('./avatars');
+const Attachment = require('./models/Attachment');
+const RoomReadCursor = require('./models/RoomReadCursor');
+const MessageIdempotencyKey = require('./models/MessageIdempotencyKey');
+const { removeAttachments } = require('./attachments');
+const { emitPresence } = require('./privacy');
+const { config } = require('../server/utils/env');
+
+/**
+ * Self-service account deletion.
+ * A request schedules the purge ACCOUNT_DELETION_GRACE_DAYS ahead and signs the user out everywhere;
+ * signing back in and cancelling keeps the account. The purge (run by the sweeper started in
+ * server.js) keeps the User document as an anonymized tombstone so past messages still resolve a
+ * sender ("Deleted user"), and removes the user from rooms, group calls and the contacts graph.
+ */
+
+const DELETED_DISPLAY_NAME = 'Deleted user';
+
+const deletionError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * Schedule deletion and revoke every session/refresh token. Returns the purge date.
+ */
+async function scheduleDeletion(userId) {
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + config.ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, deletedAt: null },
+    { deletion: { requestedAt: now, scheduledFor }, status: 'offline', lastActive: now },
+    { new: true }
+  );
+  if (!user) throw deletionError('User not found', 'USER_NOT_FOUND');
+
+  await sessions.endAllSessions(userId, { reason: 'account_deletion' });
+  await tokens.revokeAllForUser(userId, 'account_deletion');
+  await emitPresence(userId, 'offline');
+
+  console.log(`🗑️ Account ${userId} scheduled for deletion on ${scheduledFor.toISOString()}`);
+  return scheduledFor;
+}
+
+/**
+ * Cancel a pending deletion. Returns true if one was pending.
+ */
+async function cancelDeletion(userId) {
+  const result = await User.updateOne(
+    { _id: userId, deletedAt: null, 'deletion.scheduledFor': { $ne: null } },
+    { $unset: { deletion: 1 } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Drop the user from every room; rooms left empty are deactivated and admin-less rooms get a new admin
+async function leaveRooms(userId) {
+  const rooms = await Room.find({ participants: userId });
+  for (const room of rooms) {
+    room.participants = room.participants.filter(p => String(p) !== String(userId));
+    room.admins = (room.admins || []).filter(a => String(a) !== String(userId));
+    if (room.participants.length === 0) {
+      room.isActive = false;
+    } else if (room.admins.length === 0) {
+      room.admins = [room.participants[0]];
+    }
+    await room.save();
+  }
+  return rooms.length;
+}
+
+/**
+ * Irreversibly anonymize an account and detach it from everything other users still see
+ */
+async function purgeAccount(userId) {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) return false;
+  const id = String(user._id);
+
+  await sessions.endAllSessions(user._id, { reason: 'account_deleted' });
+  await removeAvatar(user._id, user.avatar);
+  // Files already sent stay with their messages; uploads that were never sent go
+  const unsent = await Attachment.find({ uploader: user._id, sharedAt: null }).select('_id').lean();
+  await removeAttachments(unsent.map(a => a._id));
+
+  await Promise.all([
+    Session.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    PasswordResetToken.deleteMany({ user: user._id }),
+    OtpCode.deleteMany({ mobileNumber: user.mobileNumber }),
+    LoginAttempt.updateMany({ user: user._id }, { $unset: { user: 1, mobileNumber: 1, ip: 1, userAgent: 1 } }),
+    Contact.deleteMany({ $or: [{ requester: user._id }, { recipient: user._id }] }),
+    Block.deleteMany({ $or: [{ blocker: user._id }, { blocked: user._id }] }),
+    RoomReadCursor.deleteMany({ user: user._id }),
+    MessageIdempotencyKey.deleteMany({ sender: user._id }),
+    GroupCall.updateMany(
+      { $or: [{ 'participants.userId': user._id }, { activeParticipants: user._id }] },
+      { $pull: { participants: { userId: user._id }, activeParticipants: user._id } }
+    )
+  ]);
+  const roomCount = await leaveRooms(user._id);
+
+  // The document stays so references on past messages/calls resolve to an anonymous sender
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      username: `deleted_${id}`,
+      displayName: DELETED_DISPLAY_NAME,
+      mobileNumber: `deleted:${id}`,
+      password: `!${crypto.randomBytes(32).toString('hex')}`,
+      verified: false,
+      role: 'user',
+      status: 'offline',
+      deletedAt: new Date()
+    },
+    $unset: {
+      email: 1,
+      bio: 1,
+      avatar: 1,
+      statusMessage: 1,
+      twoFactor: 1,
+      deletion: 1,
+      socketId: 1,
+      passwordChangedAt: 1,
+      failedLoginAttempts: 1,
+      lastFailedLoginAt: 1,
+      lockUntil: 1,
+      suspendedAt: 1,
+      suspendedReason: 1,
+      suspendedBy: 1,
+      verifiedAt: 1
+    }
+  });
+
+  const messageCount = await Chat.countDocuments({ sender: user._id });
+  console.log(`🗑️ Purged account ${id}: left ${roomCount} rooms, ${messageCount} sent messages now anonymous`);
+  return true;
+}
+
+/**
+ * Purge every account whose grace period has ended. Returns how many were purged.
+ */
+async function purgeDueAccounts(now = new Date()) {
+  const due = await User.find({ deletedAt: null, 'deletion.scheduledFor': { $lte: now } }).select('_id').lean();
+  let purged = 0;
+  for (const { _id } of due) {
+    try {
+      if (await purgeAccount(_id)) purged++;
+    } catch (err) {
+      console.error(`Failed to purge account ${_id}:`, err);
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  DELETED_DISPLAY_NAME,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeAccount,
+  purgeDueAccounts
+};
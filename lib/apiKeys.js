@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const ApiKey = require('./models/ApiKey');
+const User = require('./models/User');
+const { hashToken } = require('./tokens');
+
+/**
+ * Bot accounts and their scoped API keys.
+ * Keys look like "vk_<prefix>_<secret>" and are accepted (as a Bearer token or x-api-key header)
+ * only by routes that opt in via middleware/auth.js allowApiKey(scope), and by the Socket.IO
+ * handshake when the key has the 'realtime' scope.
+ */
+
+const KEY_PREFIX = 'vk_';
+
+// What a key may do
+const SCOPES = {
+  'messages:send': 'Send direct and room messages (REST and socket)',
+  'messages:read': 'Read chat history',
+  realtime: 'Connect to the Socket.IO server'
+};
+
+// Only record usage this often to avoid a write per request
+const LAST_USED_UPDATE_MS = 60 * 1000;
+
+const apiKeyError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+/**
+ * Create a bot account. Bots are verified (they can message) but have no usable password.
+ */
+async function createBot({ username, displayName, createdBy }) {
+  if (!username || !/^[a-zA-Z0-9_.-]{3,30}$/.test(username)) {
+    throw apiKeyError('Username must be 3-30 letters, digits, dots, dashes or underscores', 'BOT_INVALID');
+  }
+  if (await User.exists({ username })) throw apiKeyError('Username is already taken', 'BOT_EXISTS');
+
+  return User.create({
+    username,
+    displayName: displayName || undefined,
+    mobileNumber: `bot:${username}`,
+    password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+    verified: true,
+    isBot: true,
+    botCreatedBy: createdBy
+  });
+}
+
+/**
+ * Issue a key for a bot. The raw key is returned once and never stored.
+ */
+async function createApiKey({ botId, name, scopes = [], expiresAt = null, createdBy }) {
+  const invalid = scopes.filter(scope => !SCOPES[scope]);
+  if (invalid.length) throw apiKeyError(`Unknown scopes: ${invalid.join(', ')}`, 'API_KEY_INVALID_SCOPE');
+  if (scopes.length === 0) throw apiKeyError('At least one scope is required', 'API_KEY_INVALID_SCOPE');
+
+  const bot = await User.findOne({ _id: botId, isBot: true, deletedAt: null }).select('_id');
+  if (!bot) throw apiKeyError('Bot not found', 'BOT_NOT_FOUND');
+
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    user: bot._id,
+    name: name || 'API key',
+    prefix: `${KEY_PREFIX}${prefix}`,
+    keyHash: hashToken(key),
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    createdBy
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Resolve a raw key to its record and bot user. Throws API_KEY_INVALID / API_KEY_REVOKED /
+ * API_KEY_EXPIRED / API_KEY_SCOPE.
+ */
+async function verifyApiKey(key, { scope, ip } = {}) {
+  if (!isApiKey(key)) throw apiKeyError('Invalid API key', 'API_KEY_INVALID');
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!apiKey) throw apiKeyError('Invalid API key', 'API_KEY_INVALID');
+  if (apiKey.revokedAt) throw apiKeyError('API key has been revoked', 'API_KEY_REVOKED');
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) throw apiKeyError('API key has expired', 'API_KEY_EXPIRED');
+  if (scope && !apiKey.scopes.includes(scope)) {
+    throw apiKeyError(`API key lacks the '${scope}' scope`, 'API_KEY_SCOPE');
+  }
+
+  const user = await User.findById(apiKey.user).select('username role isBot suspendedAt deletedAt');
+  if (!user || !user.isBot || user.suspendedAt || user.deletedAt) {
+    throw apiKeyError('API key has been revoked', 'API_KEY_REVOKED');
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip });
+  }
+
+  return { apiKey, user };
+}
+
+/**
+ * The req.user / socket.user payload for a key, shaped like an access token's claims
+ */
+const principalFor = ({ apiKey, user }) => ({
+  userId: String(user._id),
+  username: user.username,
+  role: user.role,
+  isBot: true,
+  apiKeyId: String(apiKey._id),
+  scopes: apiKey.scopes,
+  // Lets the socket token timer disconnect when the key expires
+  exp: apiKey.expiresAt ? Math.floor(apiKey.expiresAt.getTime() / 1000) : undefined
+});
+
+async function revokeApiKey(keyId) {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: keyId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+  return apiKey;
+}
+
+module.exports = {
+  SCOPES,
+  isApiKey,
+  createBot,
+  createApiKey,
+  verifyApiKey,
+  principalFor,
+  revokeApiKey
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Attachment = require('./models/Attachment');
+const Room = require('./models/Room');
+const { getBlobStore } = require('./storage/blobStore');
+const { config } = require('../server/utils/env');
+
+/**
+ * Chat attachments. Files are uploaded first (POST /api/chat/attachments) and then referenced by id
+ * when sending a message, over REST or the socket. Sending "shares" the upload into that
+ * conversation, and from then on only its members (and the uploader) can download it.
+ */
+
+// Edge length of image previews
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_CONTENT_TYPE = 'image/webp';
+
+// Images sharp can read and we are happy to render inline
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const attachmentError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const kindOf = (contentType) => {
+  if (IMAGE_MIME_TYPES.includes(contentType)) return 'image';
+  if (contentType.startsWith('video/')) return 'video';
+  if (contentType.startsWith('audio/')) return 'audio';
+  if (DOCUMENT_MIME_TYPES.includes(contentType)) return 'document';
+  return 'file';
+};
+
+// Keep the name for display/download only; it never becomes part of a storage path
+const cleanFileName = (name) => {
+  const base = path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f"\\/]/g, '').trim();
+  return base.slice(0, 200) || 'file';
+};
+
+const attachmentKey = (userId, attachmentId, name) => `attachments/${userId}/${attachmentId}/${name}`;
+
+/**
+ * Store an uploaded file (multer's req.file). Images are checked with sharp and get a thumbnail.
+ * Returns the Attachment. Throws ATTACHMENT_INVALID_IMAGE.
+ */
+async function saveAttachment(userId, file) {
+  const contentType = file.mimetype;
+  const kind = kindOf(contentType);
+  const attachmentId = new mongoose.Types.ObjectId();
+  const store = getBlobStore();
+
+  const fields = {
+    _id: attachmentId,
+    uploader: userId,
+    kind,
+    fileName: cleanFileName(file.originalname),
+    contentType,
+    size: file.size,
+    storageKey: attachmentKey(userId, attachmentId, `original-${crypto.randomBytes(4).toString('hex')}`)
+  };
+
+  if (kind === 'image') {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (err) {
+      throw attachmentError('File is not a valid image', 'ATTACHMENT_INVALID_IMAGE');
+    }
+    if (!metadata.width || !metadata.height) {
+      throw attachmentError('File is not a valid image', 'ATTACHMENT_INVALID_IMAGE');
+    }
+    // EXIF orientations 5-8 swap the displayed width and height
+    const rotated = metadata.orientation >= 5;
+    fields.width = rotated ? metadata.height : metadata.width;
+    fields.height = rotated ? metadata.width : metadata.height;
+
+    const thumbnail = await sharp(file.buffer, { animated: false })
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer();
+    fields.thumbnailKey = attachmentKey(userId, attachmentId, 'thumbnail.webp');
+    await store.put(fields.thumbnailKey, thumbnail, { contentType: THUMBNAIL_CONTENT_TYPE });
+  }
+
+  await store.put(fields.storageKey, file.buffer, { contentType });
+  return Attachment.create(fields);
+}
+
+/**
+ * What clients see of an attachment (also embedded in Chat.attachments)
+ */
+const attachmentMeta = (attachment) => ({
+  attachment: attachment._id,
+  kind: attachment.kind,
+  fileName: attachment.fileName,
+  contentType: attachment.contentType,
+  size: attachment.size,
+  width: attachment.width || undefined,
+  height: attachment.height || undefined,
+  url: `/api/chat/attachments/${attachment._id}`,
+  thumbnailUrl: attachment.thumbnailKey ? `/api/chat/attachments/${attachment._id}?variant=thumbnail` : undefined
+});
+
+/**
+ * Share the sender's unsent uploads into a conversation as part of a message. Returns their
+ * metadata in the given order. Throws ATTACHMENT_INVALID / ATTACHMENT_NOT_FOUND.
+ */
+async function shareAttachments({ userId, attachmentIds, roomId, receiverId }) {
+  if (!Array.isArray(attachmentIds) || attachmentIds.length === 0) return [];
+  const ids = [...new Set(attachmentIds.map(String))];
+  if (ids.length > config.ATTACHMENT_MAX_PER_MESSAGE) {
+    throw attachmentError(`A message can carry at most ${config.ATTACHMENT_MAX_PER_MESSAGE} attachments`, 'ATTACHMENT_INVALID');
+  }
+  if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw attachmentError('Attachment not found', 'ATTACHMENT_NOT_FOUND');
+  }
+
+  const filter = { _id: { $in: ids }, uploader: userId, sharedAt: null };
+  const attachments = await Attachment.find(filter);
+  if (attachments.length !== ids.length) {
+    throw attachmentError('Attachment not found or already sent', 'ATTACHMENT_NOT_FOUND');
+  }
+
+  const sharedAt = new Date();
+  const result = await Attachment.updateMany(filter, {
+    $set: roomId
+      ? { room: String(roomId), sharedAt }
+      : { receiver: receiverId, sharedAt }
+  });
+  if (result.modifiedCount !== ids.length) {
+    // Another send claimed some of them first; give back the ones this call took
+    await Attachment.updateMany(
+      { _id: { $in: ids }, sharedAt, message: null },
+      { $set: { sharedAt: null }, $unset: { room: 1, receiver: 1 } }
+    );
+    throw attachmentError('Attachment not found or already sent', 'ATTACHMENT_NOT_FOUND');
+  }
+
+  const byId = new Map(attachments.map(a => [String(a._id), a]));
+  return ids.map(id => attachmentMeta(byId.get(id)));
+}
+
+/**
+ * Return shared uploads to the sender's unsent pool when the message carrying them was never
+ * saved (they can then be sent again, or are purged with the other unsent uploads)
+ */
+async function unshareAttachments(attachmentIds) {
+  if (!attachmentIds || attachmentIds.length === 0) return;
+  await Attachment.updateMany(
+    { _id: { $in: attachmentIds }, message: null },
+    { $set: { sharedAt: null }, $unset: { room: 1, receiver: 1 } }
+  );
+}
+
+/**
+ * Record the message that carries the attachments (used by exports and deletion)
+ */
+async function linkAttachments(attachmentIds, messageId) {
+  if (!attachmentIds || attachmentIds.length === 0) return;
+  await Attachment.updateMany({ _id: { $in: attachmentIds } }, { $set: { message: messageId } });
+}
+
+/**
+ * Load an attachment the user may download: their own upload, a file sent to them, or a file
+ * shared into a room they belong to. Throws ATTACHMENT_NOT_FOUND otherwise.
+ */
+async function findAccessibleAttachment(attachmentId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(attachmentId)) throw attachmentError('Attachment not found', 'ATTACHMENT_NOT_FOUND');
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment) throw attachmentError('Attachment not found', 'ATTACHMENT_NOT_FOUND');
+
+  const id = String(userId);
+  if (String(attachment.uploader) === id) return attachment;
+  if (attachment.sharedAt) {
+    if (attachment.receiver && String(attachment.receiver) === id) return attachment;
+    if (attachment.room && mongoose.Types.ObjectId.isValid(attachment.room) &&
+      (await Room.exists({ _id: attachment.room, $or: [{ participants: userId }, { admins: userId }] }))) {
+      return attachment;
+    }
+  }
+  throw attachmentError('Attachment not found', 'ATTACHMENT_NOT_FOUND');
+}
+
+/**
+ * Open the file ('original') or its preview ('thumbnail'). Returns { stream, contentType }.
+ */
+async function openAttachment(attachment, variant = 'original') {
+  if (variant === 'thumbnail') {
+    if (!attachment.thumbnailKey) throw attachmentError('Attachment has no thumbnail', 'ATTACHMENT_NOT_FOUND');
+    return { stream: await getBlobStore().createReadStream(attachment.thumbnailKey), contentType: THUMBNAIL_CONTENT_TYPE };
+  }
+  return { stream: await getBlobStore().createReadStream(attachment.storageKey), contentType: attachment.contentType };
+}
+
+/**
+ * Delete attachments and their blobs (best effort for the blobs)
+ */
+async function removeAttachments(attachmentIds) {
+  if (!attachmentIds || attachmentIds.length === 0) return 0;
+  const attachments = await Attachment.find({ _id: { $in: attachmentIds } });
+  const store = getBlobStore();
+  await Promise.all(attachments.flatMap(a => [a.storageKey, a.thumbnailKey].filter(Boolean)).map(key =>
+    store.remove(key).catch(err => console.warn(`Failed to remove attachment blob ${key}:`, err.message))
+  ));
+  await Attachment.deleteMany({ _id: { $in: attachments.map(a => a._id) } });
+  return attachments.length;
+}
+
+/**
+ * Drop uploads that were never sent within config.ATTACHMENT_UNSENT_TTL_MS
+ */
+async function purgeUnsentAttachments() {
+  const cutoff = new Date(Date.now() - config.ATTACHMENT_UNSENT_TTL_MS);
+  const stale = await Attachment.find({ sharedAt: null, createdAt: { $lt: cutoff } }).select('_id').limit(500).lean();
+  return removeAttachments(stale.map(a => a._id));
+}
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  DOCUMENT_MIME_TYPES,
+  saveAttachment,
+  attachmentMeta,
+  shareAttachments,
+  unshareAttachments,
+  linkAttachments,
+  findAccessibleAttachment,
+  openAttachment,
+  removeAttachments,
+  purgeUnsentAttachments
+};
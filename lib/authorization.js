@@ -0,0 +1,78 @@
+const connectDB = require('./db');
+const User = require('./models/User');
+
+/**
+ * Role-based access control shared by Express routes and Socket.IO events.
+ * Roles are hierarchical: an admin can do everything a moderator can, and so on.
+ * The role is re-read from the database so promotions/demotions apply without a new token.
+ */
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+/**
+ * Whether `role` satisfies at least one of the required roles
+ */
+function hasRole(role, required) {
+  const requiredRoles = Array.isArray(required) ? required : [required];
+  const rank = roleRank(role || 'user');
+  // An unknown role (on either side) never satisfies a requirement
+  return rank !== -1 && requiredRoles.some(r => roleRank(r) !== -1 && rank >= roleRank(r));
+}
+
+async function loadAccess(userId) {
+  await connectDB();
+  return User.findById(userId).select('role suspendedAt').lean();
+}
+
+/**
+ * Express middleware: place after `authenticate`.
+ *   router.get('/users', authenticate, requireRole('admin'), handler)
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const access = await loadAccess(req.user.userId);
+      if (!access || access.suspendedAt) {
+        return res.status(403).json({ error: 'Account is not allowed to perform this action' });
+      }
+      if (!hasRole(access.role, roles)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      req.user.role = access.role;
+      next();
+    } catch (err) {
+      console.error('Authorization check error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  };
+}
+
+/**
+ * Socket.IO equivalent: wraps an event handler so it only runs for sockets whose user holds one of the roles.
+ *   socket.on('someEvent', socketRequireRole(socket, ['moderator'], async (data) => { ... }))
+ */
+function socketRequireRole(socket, roles, handler) {
+  return async (...args) => {
+    try {
+      const access = await loadAccess(socket.userId);
+      if (!access || access.suspendedAt || !hasRole(access.role, roles)) {
+        socket.emit('error', { message: 'Insufficient permissions', code: 'FORBIDDEN' });
+        return;
+      }
+      socket.user.role = access.role;
+      return handler(...args);
+    } catch (err) {
+      console.error('Socket authorization check error:', err);
+      socket.emit('error', { message: 'Authorization check failed' });
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  requireRole,
+  socketRequireRole
+};
@@ -0,0 +1,34 @@
+const { ROLES, hasRole } = require('./authorization');
+
+describe('hasRole', () => {
+  it('orders roles user < moderator < admin', () => {
+    expect(ROLES).toEqual(['user', 'moderator', 'admin']);
+  });
+
+  it('lets higher roles satisfy lower requirements', () => {
+    expect(hasRole('admin', 'moderator')).toBe(true);
+    expect(hasRole('admin', 'user')).toBe(true);
+    expect(hasRole('moderator', 'moderator')).toBe(true);
+  });
+
+  it('refuses lower roles', () => {
+    expect(hasRole('user', 'moderator')).toBe(false);
+    expect(hasRole('moderator', 'admin')).toBe(false);
+  });
+
+  it('accepts any one of several required roles', () => {
+    expect(hasRole('moderator', ['admin', 'moderator'])).toBe(true);
+    expect(hasRole('user', ['admin', 'moderator'])).toBe(false);
+  });
+
+  it('treats a missing role as a plain user', () => {
+    expect(hasRole(undefined, 'user')).toBe(true);
+    expect(hasRole(null, 'moderator')).toBe(false);
+  });
+
+  it('never grants access through an unknown role', () => {
+    expect(hasRole('superuser', 'user')).toBe(false);
+    expect(hasRole('admin', 'owner')).toBe(false);
+    expect(hasRole('user', ['owner'])).toBe(false);
+  });
+});
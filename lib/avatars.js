@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getBlobStore } = require('./storage/blobStore');
+
+/**
+ * Avatar processing: every upload is re-encoded to square WebP renditions so clients never
+ * receive the original file (which may carry EXIF/location data).
+ */
+
+// Rendition name -> edge length in pixels
+const AVATAR_SIZES = {
+  large: 512,
+  medium: 256,
+  thumb: 64
+};
+
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const AVATAR_CONTENT_TYPE = 'image/webp';
+
+const avatarKey = (userId, avatarId, size) => `avatars/${userId}/${avatarId}/${size}.webp`;
+
+const avatarError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * Resize an uploaded image into every rendition and store them. Returns the avatar subdocument.
+ */
+async function saveAvatar(userId, buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw avatarError('File is not a valid image', 'AVATAR_INVALID_IMAGE');
+  }
+  if (!metadata.width || !metadata.height) {
+    throw avatarError('File is not a valid image', 'AVATAR_INVALID_IMAGE');
+  }
+
+  const avatarId = crypto.randomBytes(8).toString('hex');
+  const store = getBlobStore();
+
+  await Promise.all(Object.entries(AVATAR_SIZES).map(async ([size, edge]) => {
+    const rendition = await sharp(buffer)
+      .rotate() // honour EXIF orientation before it is stripped
+      .resize(edge, edge, { fit: 'cover', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer();
+    await store.put(avatarKey(userId, avatarId, size), rendition, { contentType: AVATAR_CONTENT_TYPE });
+  }));
+
+  return { id: avatarId, contentType: AVATAR_CONTENT_TYPE, updatedAt: new Date() };
+}
+
+/**
+ * Delete every rendition of an avatar (best effort)
+ */
+async function removeAvatar(userId, avatar) {
+  if (!avatar || !avatar.id) return;
+  const store = getBlobStore();
+  await Promise.all(Object.keys(AVATAR_SIZES).map(size =>
+    store.remove(avatarKey(userId, avatar.id, size)).catch(err => {
+      console.warn(`Failed to remove avatar ${avatar.id}/${size} for ${userId}:`, err.message);
+    })
+  ));
+}
+
+async function openAvatar(userId, avatar, size = 'medium') {
+  return getBlobStore().createReadStream(avatarKey(userId, avatar.id, size));
+}
+
+// API path clients use to fetch a rendition; the avatar id busts caches when it changes
+const avatarUrl = (userId, avatar, size) =>
+  `/api/auth/users/${userId}/avatar?size=${size}&v=${avatar.id}`;
+
+module.exports = {
+  AVATAR_SIZES,
+  AVATAR_MIME_TYPES,
+  saveAvatar,
+  removeAvatar,
+  openAvatar,
+  avatarUrl
+};
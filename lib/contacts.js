@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Contact = require('./models/Contact');
+const Block = require('./models/Block');
+const User = require('./models/User');
+
+/**
+ * Contacts graph and blocklist.
+ * A contact starts as a pending request from `requester` to `recipient` and becomes mutual once
+ * accepted. Blocking removes any request/contact between the pair and stops direct messages,
+ * typing indicators and calls in both directions.
+ */
+
+const contactError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const assertValidUserId = (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) throw contactError('Invalid user id', 'INVALID_USER_ID');
+};
+
+/**
+ * True when either user has blocked the other
+ */
+async function isBlockedBetween(a, b) {
+  if (!a || !b) return false;
+  const found = await Block.exists({
+    $or: [{ blocker: a, blocked: b }, { blocker: b, blocked: a }]
+  });
+  return Boolean(found);
+}
+
+/**
+ * Throw USER_BLOCKED when `senderId` may not reach `recipientId`
+ */
+async function assertNotBlocked(senderId, recipientId) {
+  if (await isBlockedBetween(senderId, recipientId)) {
+    throw contactError('You cannot interact with this user', 'USER_BLOCKED');
+  }
+}
+
+/**
+ * Ids of everyone the user has blocked or been blocked by (for filtering user lists)
+ */
+async function getBlockedIds(userId) {
+  const blocks = await Block.find({ $or: [{ blocker: userId }, { blocked: userId }] })
+    .select('blocker blocked')
+    .lean();
+  const ids = new Set();
+  for (const b of blocks) {
+    ids.add(String(b.blocker) === String(userId) ? String(b.blocked) : String(b.blocker));
+  }
+  return ids;
+}
+
+/**
+ * Ids of the user's accepted contacts. This is the one definition of "contacts" used across the
+ * app: profile update pushes (lib/profiles.js) and the `contacts` privacy level (lib/privacy.js).
+ */
+async function getContactIds(userId) {
+  const contacts = await Contact.find({
+    status: 'accepted',
+    $or: [{ requester: userId }, { recipient: userId }]
+  }).select('requester recipient').lean();
+  return contacts.map(c => (String(c.requester) === String(userId) ? String(c.recipient) : String(c.requester)));
+}
+
+async function areContacts(a, b) {
+  const found = await Contact.exists({ pairKey: Contact.pairKeyFor(a, b), status: 'accepted' });
+  return Boolean(found);
+}
+
+/**
+ * Send a contact request. If the other user already asked us, their request is accepted instead.
+ * Returns { contact, accepted }.
+ */
+async function sendRequest(fromId, toId, { message = '' } = {}) {
+  assertValidUserId(toId);
+  if (String(fromId) === String(toId)) throw contactError('You cannot add yourself', 'CONTACT_SELF');
+
+  const recipient = await User.findById(toId).select('_id suspendedAt deletedAt');
+  if (!recipient || recipient.suspendedAt || recipient.deletedAt) throw contactError('User not found', 'USER_NOT_FOUND');
+  await assertNotBlocked(fromId, toId);
+
+  const pairKey = Contact.pairKeyFor(fromId, toId);
+  const existing = await Contact.findOne({ pairKey });
+  if (existing) {
+    if (existing.status === 'accepted') throw contactError('Already in your contacts', 'CONTACT_EXISTS');
+    if (String(existing.requester) === String(fromId)) {
+      throw contactError('Contact request already sent', 'CONTACT_REQUEST_EXISTS');
+    }
+    existing.status = 'accepted';
+    existing.acceptedAt = new Date();
+    await existing.save();
+    return { contact: existing, accepted: true };
+  }
+
+  try {
+    const contact = await Contact.create({
+      requester: fromId,
+      recipient: toId,
+      pairKey,
+      message: String(message || '').slice(0, 200)
+    });
+    return { contact, accepted: false };
+  } catch (err) {
+    // Both users sent a request at the same moment
+    if (err.code === 11000) throw contactError('Contact request already sent', 'CONTACT_REQUEST_EXISTS');
+    throw err;
+  }
+}
+
+// Load a pending request addressed to / sent by the user
+async function findPendingRequest(requestId, filter) {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) throw contactError('Contact request not found', 'CONTACT_REQUEST_NOT_FOUND');
+  const request = await Contact.findOne({ _id: requestId, status: 'pending', ...filter });
+  if (!request) throw contactError('Contact request not found', 'CONTACT_REQUEST_NOT_FOUND');
+  return request;
+}
+
+async function acceptRequest(userId, requestId) {
+  const request = await findPendingRequest(requestId, { recipient: userId });
+  request.status = 'accepted';
+  request.acceptedAt = new Date();
+  await request.save();
+  return request;
+}
+
+async function declineRequest(userId, requestId) {
+  const request = await findPendingRequest(requestId, { recipient: userId });
+  await request.deleteOne();
+  return request;
+}
+
+async function cancelRequest(userId, requestId) {
+  const request = await findPendingRequest(requestId, { requester: userId });
+  await request.deleteOne();
+  return request;
+}
+
+/**
+ * Remove an accepted contact (either side may do this). Returns true if one was removed.
+ */
+async function removeContact(userId, otherId) {
+  assertValidUserId(otherId);
+  const result = await Contact.deleteOne({ pairKey: Contact.pairKeyFor(userId, otherId), status: 'accepted' });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Block a user; also drops any contact or pending request between the two.
+ * Returns true if they were contacts.
+ */
+async function blockUser(userId, otherId) {
+  assertValidUserId(otherId);
+  if (String(userId) === String(otherId)) throw contactError('You cannot block yourself', 'CONTACT_SELF');
+  if (!(await User.exists({ _id: otherId }))) throw contactError('User not found', 'USER_NOT_FOUND');
+
+  await Block.updateOne(
+    { blocker: userId, blocked: otherId },
+    { $setOnInsert: { blocker: userId, blocked: otherId } },
+    { upsert: true }
+  );
+  const removed = await Contact.findOneAndDelete({ pairKey: Contact.pairKeyFor(userId, otherId) });
+  return Boolean(removed && removed.status === 'accepted');
+}
+
+async function unblockUser(userId, otherId) {
+  assertValidUserId(otherId);
+  const result = await Block.deleteOne({ blocker: userId, blocked: otherId });
+  return result.deletedCount > 0;
+}
+
+module.exports = {
+  isBlockedBetween,
+  assertNotBlocked,
+  getBlockedIds,
+  getContactIds,
+  areContacts,
+  sendRequest,
+  acceptRequest,
+  declineRequest,
+  cancelRequest,
+  removeContact,
+  blockUser,
+  unblockUser
+};
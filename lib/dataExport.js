@@ -0,0 +1,229 @@
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const User = require('./models/User');
+const Chat = require('./models/Chat');
+const Room = require('./models/Room');
+const GroupCall = require('./models/GroupCall');
+const Contact = require('./models/Contact');
+const Block = require('./models/Block');
+const Session = require('./models/Session');
+const LoginAttempt = require('./models/LoginAttempt');
+const { openAvatar } = require('./avatars');
+const { getPrivacy } = require('./privacy');
+
+/**
+ * Personal data export: a zip archive of JSON files describing everything stored about a user.
+ * Messages are streamed from a cursor so large histories don't have to fit in memory.
+ */
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// Stream a cursor as a pretty JSON array
+function jsonArrayStream(cursor, mapDoc) {
+  return Readable.from((async function* () {
+    yield '[';
+    let first = true;
+    for await (const doc of cursor) {
+      yield `${first ? '\n' : ',\n'}${toJson(mapDoc(doc))}`;
+      first = false;
+    }
+    yield first ? ']\n' : '\n]\n';
+  })());
+}
+
+const userRef = (user) => (user && user._id ? { id: String(user._id), username: user.username } : null);
+
+const formatMessage = (message) => ({
+  id: String(message._id),
+  sender: userRef(message.sender),
+  receiver: userRef(message.receiver),
+  room: message.room || null,
+  originalContent: message.originalContent,
+  originalLanguage: message.originalLanguage,
+  content: message.content,
+  translations: message.translations || {},
+  status: message.status,
+  timestamp: message.timestamp,
+  deliveredAt: message.deliveredAt || null,
+  seenAt: message.seenAt || null,
+  editedAt: message.editedAt || null,
+  editHistory: message.editHistory || [],
+  deletedAt: message.deletedAt || null,
+  replyTo: message.replyTo && message.replyTo.message ? message.replyTo : null,
+  threadRoot: message.threadRoot || null,
+  attachments: (message.attachments || []).map(a => ({
+    fileName: a.fileName,
+    contentType: a.contentType,
+    size: a.size,
+    url: a.url
+  }))
+});
+
+async function collectProfile(user) {
+  return {
+    id: String(user._id),
+    username: user.username,
+    displayName: user.displayName || null,
+    bio: user.bio || null,
+    mobileNumber: user.mobileNumber,
+    email: user.email || null,
+    verified: user.verified,
+    verifiedAt: user.verifiedAt || null,
+    role: user.role,
+    preferredLanguage: user.preferredLanguage,
+    statusMessage: user.statusMessage || null,
+    privacy: getPrivacy(user),
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    deletion: user.deletion && user.deletion.scheduledFor ? user.deletion : null,
+    createdAt: user.createdAt,
+    lastActive: user.lastActive
+  };
+}
+
+async function collectRooms(userId) {
+  const rooms = await Room.find({ participants: userId })
+    .populate('participants', 'username')
+    .populate('createdBy', 'username')
+    .lean();
+  return rooms.map(room => ({
+    id: String(room._id),
+    name: room.name,
+    description: room.description,
+    roomType: room.roomType,
+    isActive: room.isActive,
+    createdBy: userRef(room.createdBy),
+    isAdmin: (room.admins || []).some(a => String(a) === String(userId)),
+    participants: room.participants.filter(Boolean).map(userRef),
+    createdAt: room.createdAt,
+    lastActivity: room.lastActivity
+  }));
+}
+
+async function collectCalls(userId) {
+  const calls = await GroupCall.find({ 'participants.userId': userId })
+    .populate('roomId', 'name')
+    .populate('initiator', 'username')
+    .sort({ startedAt: -1 })
+    .lean();
+  return calls.map(call => {
+    const me = call.participants.find(p => String(p.userId) === String(userId)) || {};
+    return {
+      id: String(call._id),
+      room: call.roomId ? { id: String(call.roomId._id), name: call.roomId.name } : null,
+      initiator: userRef(call.initiator),
+      callType: call.callType,
+      status: call.status,
+      startedAt: call.startedAt,
+      endedAt: call.endedAt || null,
+      duration: call.duration || null,
+      participation: { status: me.status, joinedAt: me.joinedAt || null, leftAt: me.leftAt || null }
+    };
+  });
+}
+
+async function collectContacts(userId) {
+  const [contacts, blocks] = await Promise.all([
+    Contact.find({ $or: [{ requester: userId }, { recipient: userId }] })
+      .populate('requester', 'username')
+      .populate('recipient', 'username')
+      .lean(),
+    Block.find({ blocker: userId }).populate('blocked', 'username').lean()
+  ]);
+  return {
+    contacts: contacts.map(c => ({
+      requester: userRef(c.requester),
+      recipient: userRef(c.recipient),
+      status: c.status,
+      message: c.message,
+      createdAt: c.createdAt,
+      acceptedAt: c.acceptedAt || null
+    })),
+    blocked: blocks.map(b => ({ user: userRef(b.blocked), blockedAt: b.createdAt }))
+  };
+}
+
+async function collectSecurity(userId) {
+  const [sessions, loginAttempts] = await Promise.all([
+    Session.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    LoginAttempt.find({ user: userId }).sort({ createdAt: -1 }).lean()
+  ]);
+  return {
+    sessions: sessions.map(s => ({
+      id: String(s._id),
+      deviceName: s.deviceName,
+      ip: s.ip,
+      userAgent: s.userAgent,
+      createdAt: s.createdAt,
+      lastSeenAt: s.lastSeenAt,
+      revokedAt: s.revokedAt || null,
+      revokedReason: s.revokedReason || null
+    })),
+    loginAttempts: loginAttempts.map(a => ({
+      ip: a.ip,
+      userAgent: a.userAgent,
+      success: a.success,
+      reason: a.reason,
+      createdAt: a.createdAt
+    }))
+  };
+}
+
+/**
+ * Build the export archive for a user. The returned archiver stream is already finalizing;
+ * pipe it to the response (or a file). Throws USER_NOT_FOUND.
+ */
+async function createExportArchive(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user || user.deletedAt) {
+    const err = new Error('User not found');
+    err.code = 'USER_NOT_FOUND';
+    throw err;
+  }
+
+  const [profile, rooms, calls, contacts, security] = await Promise.all([
+    collectProfile(user),
+    collectRooms(user._id),
+    collectCalls(user._id),
+    collectContacts(user._id),
+    collectSecurity(user._id)
+  ]);
+
+  const roomIds = rooms.map(room => room.id);
+  const messages = Chat.find({
+    $or: [
+      { sender: user._id },
+      { receiver: user._id },
+      { room: { $in: roomIds } }
+    ]
+  })
+    .populate('sender', 'username')
+    .populate('receiver', 'username')
+    .sort({ timestamp: 1 })
+    .lean()
+    .cursor();
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.append(toJson({ exportedAt: new Date(), userId: String(user._id) }), { name: 'manifest.json' });
+  archive.append(toJson(profile), { name: 'profile.json' });
+  archive.append(jsonArrayStream(messages, formatMessage), { name: 'messages.json' });
+  archive.append(toJson(rooms), { name: 'rooms.json' });
+  archive.append(toJson(calls), { name: 'calls.json' });
+  archive.append(toJson(contacts), { name: 'contacts.json' });
+  archive.append(toJson(security), { name: 'security.json' });
+
+  if (user.avatar && user.avatar.id) {
+    try {
+      archive.append(await openAvatar(user._id, user.avatar, 'large'), { name: 'avatar.webp' });
+    } catch (err) {
+      console.warn(`Avatar missing from export for ${user._id}:`, err.message);
+    }
+  }
+
+  // Failures also surface as 'error' events on the archive, which the caller handles
+  archive.finalize().catch(err => console.error(`Export archive for ${user._id} failed:`, err.message));
+  return archive;
+}
+
+module.exports = {
+  createExportArchive
+};
@@ -0,0 +1,143 @@
+const User = require('./models/User');
+const LoginAttempt = require('./models/LoginAttempt');
+const { config } = require('../server/utils/env');
+
+/**
+ * Login brute-force protection.
+ * - Per account: failed attempts are counted on the User document. Each failure past the first
+ *   imposes a growing wait before the next try, and LOGIN_MAX_FAILED_ATTEMPTS locks the account
+ *   for LOGIN_LOCKOUT_MS.
+ * - Per IP: credential failures recorded in LoginAttempt within LOGIN_IP_WINDOW_MS are counted; too many
+ *   blocks that address until the window slides.
+ * Every attempt (success or failure) is written to LoginAttempt as an audit record.
+ */
+
+// Only wrong credentials count towards the per-IP limit; attempts refused because the client was
+// already blocked/locked/throttled must not extend that block
+const CREDENTIAL_FAILURES = ['invalid_password', 'invalid_2fa_code', 'unknown_user'];
+
+const throttleError = (message, code, extra = {}) => {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+};
+
+// Wait required after `failures` consecutive failures: 0, base, 2x base, 4x base ... capped
+const progressiveDelay = (failures) => {
+  if (failures < 2) return 0;
+  return Math.min(config.LOGIN_BASE_DELAY_MS * Math.pow(2, failures - 2), config.LOGIN_MAX_DELAY_MS);
+};
+
+async function audit({ user, mobileNumber, ip, userAgent, success, reason }) {
+  try {
+    await LoginAttempt.create({ user: user ? user._id : undefined, mobileNumber, ip, userAgent, success, reason });
+  } catch (err) {
+    console.warn('Failed to record login attempt:', err.message);
+  }
+}
+
+/**
+ * Throw if this IP or account may not attempt a login right now.
+ * Errors carry `code` (IP_BLOCKED / ACCOUNT_LOCKED / LOGIN_THROTTLED) and `retryAfterMs`.
+ */
+async function assertCanAttempt({ user, ip }) {
+  if (ip) {
+    const since = new Date(Date.now() - config.LOGIN_IP_WINDOW_MS);
+    const failed = { ip, success: false, reason: { $in: CREDENTIAL_FAILURES }, createdAt: { $gte: since } };
+    const ipFailures = await LoginAttempt.countDocuments(failed);
+    if (ipFailures >= config.LOGIN_IP_MAX_FAILED_ATTEMPTS) {
+      const oldest = await LoginAttempt.findOne(failed)
+        .sort({ createdAt: 1 })
+        .select('createdAt')
+        .lean();
+      const retryAfterMs = oldest
+        ? Math.max(new Date(oldest.createdAt).getTime() + config.LOGIN_IP_WINDOW_MS - Date.now(), 1000)
+        : config.LOGIN_IP_WINDOW_MS;
+      throw throttleError('Too many failed login attempts from this address', 'IP_BLOCKED', { retryAfterMs });
+    }
+  }
+
+  if (!user) return;
+
+  if (user.lockUntil && user.lockUntil > new Date()) {
+    throw throttleError('Account temporarily locked due to too many failed login attempts', 'ACCOUNT_LOCKED', {
+      lockedUntil: user.lockUntil,
+      retryAfterMs: user.lockUntil.getTime() - Date.now()
+    });
+  }
+
+  const wait = progressiveDelay(user.failedLoginAttempts || 0);
+  if (wait && user.lastFailedLoginAt) {
+    const nextAllowed = user.lastFailedLoginAt.getTime() + wait;
+    if (nextAllowed > Date.now()) {
+      throw throttleError('Too many login attempts, please wait before retrying', 'LOGIN_THROTTLED', {
+        retryAfterMs: nextAllowed - Date.now()
+      });
+    }
+  }
+}
+
+/**
+ * Record a failed attempt. Returns the account's lockout state after this failure.
+ */
+async function recordFailure({ user, mobileNumber, ip, userAgent, reason = 'invalid_password' }) {
+  await audit({ user, mobileNumber, ip, userAgent, success: false, reason });
+  if (!user) return { locked: false };
+
+  const now = new Date();
+  // A lapsed lock starts a fresh count (only the first of several concurrent failures resets it)
+  await User.updateOne(
+    { _id: user._id, lockUntil: { $lte: now } },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+
+  // Counted atomically so parallel wrong guesses can't all read and write back the same count
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+  const failures = counted ? counted.failedLoginAttempts : 1;
+
+  let lockedUntil = null;
+  if (failures >= config.LOGIN_MAX_FAILED_ATTEMPTS) {
+    lockedUntil = new Date(Date.now() + config.LOGIN_LOCKOUT_MS);
+    await User.updateOne({ _id: user._id }, { $set: { lockUntil: lockedUntil } });
+    console.warn(`🔒 Locking account ${user._id} until ${lockedUntil.toISOString()} after ${failures} failed logins`);
+  }
+
+  return {
+    locked: Boolean(lockedUntil),
+    lockedUntil,
+    attemptsRemaining: Math.max(config.LOGIN_MAX_FAILED_ATTEMPTS - failures, 0)
+  };
+}
+
+/**
+ * Record a rejected attempt that never reached the password check (locked, throttled, ...)
+ */
+async function recordBlocked({ user, mobileNumber, ip, userAgent, reason }) {
+  await audit({ user, mobileNumber, ip, userAgent, success: false, reason });
+}
+
+/**
+ * Record a successful password check and clear the account's failure counter
+ */
+async function recordSuccess({ user, mobileNumber, ip, userAgent }) {
+  await audit({ user, mobileNumber, ip, userAgent, success: true, reason: 'success' });
+  if (user.failedLoginAttempts || user.lockUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginAttempts: 0, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+    );
+  }
+}
+
+module.exports = {
+  assertCanAttempt,
+  recordFailure,
+  recordBlocked,
+  recordSuccess,
+  progressiveDelay
+};
@@ -0,0 +1,94 @@
+jest.mock('./models/User', () => ({
+  updateOne: jest.fn(async () => ({ modifiedCount: 1 })),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('./models/LoginAttempt', () => ({
+  create: jest.fn(async () => ({})),
+  countDocuments: jest.fn(async () => 0),
+  findOne: jest.fn()
+}));
+
+const User = require('./models/User');
+const LoginAttempt = require('./models/LoginAttempt');
+const { config } = require('../server/utils/env');
+const loginThrottle = require('./loginThrottle');
+
+const { progressiveDelay } = loginThrottle;
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('progressiveDelay', () => {
+  it('lets the first failure retry immediately', () => {
+    expect(progressiveDelay(0)).toBe(0);
+    expect(progressiveDelay(1)).toBe(0);
+  });
+
+  it('doubles the wait with each further failure', () => {
+    expect(progressiveDelay(2)).toBe(config.LOGIN_BASE_DELAY_MS);
+    expect(progressiveDelay(3)).toBe(config.LOGIN_BASE_DELAY_MS * 2);
+    expect(progressiveDelay(4)).toBe(config.LOGIN_BASE_DELAY_MS * 4);
+  });
+
+  it('is capped at LOGIN_MAX_DELAY_MS', () => {
+    expect(progressiveDelay(100)).toBe(config.LOGIN_MAX_DELAY_MS);
+  });
+});
+
+describe('assertCanAttempt', () => {
+  it('counts only credential failures towards the per-IP limit', async () => {
+    await loginThrottle.assertCanAttempt({ user: null, ip: '203.0.113.7' });
+
+    const [filter] = LoginAttempt.countDocuments.mock.calls[0];
+    expect(filter.ip).toBe('203.0.113.7');
+    expect([...filter.reason.$in].sort()).toEqual(['invalid_2fa_code', 'invalid_password', 'unknown_user']);
+  });
+
+  it('blocks an IP over the limit', async () => {
+    LoginAttempt.countDocuments.mockResolvedValueOnce(config.LOGIN_IP_MAX_FAILED_ATTEMPTS);
+    LoginAttempt.findOne.mockReturnValueOnce({
+      sort: () => ({ select: () => ({ lean: async () => ({ createdAt: new Date() }) }) })
+    });
+
+    await expect(loginThrottle.assertCanAttempt({ user: null, ip: '203.0.113.7' }))
+      .rejects.toMatchObject({ code: 'IP_BLOCKED' });
+  });
+
+  it('rejects a locked account', async () => {
+    const user = { lockUntil: new Date(Date.now() + 60000) };
+    await expect(loginThrottle.assertCanAttempt({ user })).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+  });
+
+  it('throttles retries inside the progressive delay', async () => {
+    const user = { failedLoginAttempts: 3, lastFailedLoginAt: new Date() };
+    await expect(loginThrottle.assertCanAttempt({ user })).rejects.toMatchObject({ code: 'LOGIN_THROTTLED' });
+  });
+});
+
+describe('recordFailure', () => {
+  const user = { _id: 'user-1', failedLoginAttempts: 0 };
+
+  it('increments the counter atomically instead of writing back a stale value', async () => {
+    User.findOneAndUpdate.mockResolvedValueOnce({ failedLoginAttempts: 1 });
+    const state = await loginThrottle.recordFailure({ user, ip: '203.0.113.7' });
+
+    const [, update] = User.findOneAndUpdate.mock.calls[0];
+    expect(update.$inc).toEqual({ failedLoginAttempts: 1 });
+    expect(state).toMatchObject({ locked: false, attemptsRemaining: config.LOGIN_MAX_FAILED_ATTEMPTS - 1 });
+  });
+
+  it('locks the account from the incremented count, even when the caller read an old one', async () => {
+    // Several parallel wrong guesses all read failedLoginAttempts: 0 before any of them wrote
+    User.findOneAndUpdate.mockResolvedValueOnce({ failedLoginAttempts: config.LOGIN_MAX_FAILED_ATTEMPTS });
+    const state = await loginThrottle.recordFailure({ user, ip: '203.0.113.7' });
+
+    expect(state.locked).toBe(true);
+    expect(state.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user-1' }, { $set: { lockUntil: state.lockedUntil } });
+  });
+
+  it('writes an audit record for every failure', async () => {
+    await loginThrottle.recordFailure({ user: null, mobileNumber: '+15550100', ip: '203.0.113.7', reason: 'unknown_user' });
+    expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ success: false, reason: 'unknown_user' }));
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Chat = require('./models/Chat');
+const Room = require('./models/Room');
+const RoomReadCursor = require('./models/RoomReadCursor');
+const { emitToUser, isUserOnline } = require('../server/utils/socketEmitter');
+const { config } = require('../server/utils/env');
+
+/**
+ * Delivery of persisted messages to recipients' devices.
+ * A direct message stays 'sent' while its receiver is online and 'queued' while they are not;
+ * either way it is pushed again until the receiver acks it with messageDelivered, and everything
+ * still undelivered is replayed (oldest first) when the receiver reconnects.
+ * Room messages are replayed from each member's delivery cursor (lib/readReceipts.js).
+ */
+
+const UNDELIVERED = ['queued', 'sent'];
+
+const populateMessage = (query) => query
+  .populate('sender', 'username displayName preferredLanguage isBot')
+  .populate('receiver', 'username displayName preferredLanguage isBot');
+
+const toPayload = (message, extra = {}) => {
+  const payload = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+  return Object.assign(payload, extra);
+};
+
+// Direct messages pushed to an online receiver that haven't been acked yet: messageId -> timer
+const pendingAcks = new Map();
+
+function awaitAck(messageId, attempt = 1) {
+  const id = String(messageId);
+  clearTimeout(pendingAcks.get(id));
+  // Back off between attempts: timeout, 2x timeout, 4x timeout, ...
+  const timer = setTimeout(() => {
+    pendingAcks.delete(id);
+    redeliver(id, attempt + 1).catch(err => console.error(`Redelivery of message ${id} failed:`, err));
+  }, config.MESSAGE_ACK_TIMEOUT_MS * 2 ** (attempt - 1));
+  if (timer.unref) timer.unref();
+  pendingAcks.set(id, timer);
+}
+
+/**
+ * Stop retrying a message (the receiver acked it)
+ */
+function acknowledge(messageId) {
+  const id = String(messageId);
+  clearTimeout(pendingAcks.get(id));
+  pendingAcks.delete(id);
+}
+
+// Park a direct message until its receiver reconnects, telling the sender
+async function markQueued(message) {
+  const result = await Chat.updateOne({ _id: message._id, status: 'sent' }, { $set: { status: 'queued' } });
+  if (result.modifiedCount > 0) {
+    emitToUser(message.sender._id || message.sender, 'messageStatusUpdate', { messageId: message._id, status: 'queued' });
+  }
+}
+
+async function redeliver(messageId, attempt) {
+  const message = await populateMessage(Chat.findOne({ _id: messageId, status: { $in: UNDELIVERED }, deletedAt: null }));
+  if (!message || !message.receiver) return;
+
+  // Offline receivers (and ones that never ack) get it replayed on their next connection
+  if (attempt > config.MESSAGE_DELIVERY_MAX_ATTEMPTS || !(await isUserOnline(message.receiver._id))) {
+    await markQueued(message);
+    return;
+  }
+
+  console.log(`🔁 [messageDelivery] Redelivering message ${messageId} to ${message.receiver._id} (attempt ${attempt})`);
+  emitToUser(message.receiver._id, 'receiveMessage', toPayload(message, { redelivery: true }));
+  awaitAck(message._id, attempt);
+}
+
+/**
+ * A saved message as clients receive it (populated, with the sender's clientTempId), or null
+ */
+async function loadMessage(messageId, { clientTempId } = {}) {
+  let populatedMessage = await populateMessage(Chat.findById(messageId));
+  if (!populatedMessage) return null;
+
+  // Attach clientTempId to the emitted/returned object so clients can correlate optimistic sends
+  try {
+    populatedMessage = populatedMessage.toObject();
+    if (clientTempId) populatedMessage.clientTempId = clientTempId;
+  } catch (e) {
+    // If toObject isn't available, set directly
+    if (clientTempId) populatedMessage.clientTempId = clientTempId;
+  }
+  return populatedMessage;
+}
+
+/**
+ * Populate a saved message and push it to the conversation (receiveMessage) and to the sender's
+ * devices (messageStatusUpdate). A direct message to an offline receiver is queued. Returns the
+ * populated object sent to clients.
+ */
+async function publishMessage(message, { clientTempId } = {}) {
+  const senderId = String(message.sender);
+
+  const queued = !message.room && message.receiver && !(await isUserOnline(message.receiver));
+  if (queued) {
+    await Chat.updateOne({ _id: message._id }, { $set: { status: 'queued' } });
+  }
+
+  const populatedMessage = await loadMessage(message._id, { clientTempId });
+
+  // Emit the saved/populated message to connected clients via Socket.IO
+  try {
+    const io = global.__io;
+    if (io) {
+      if (message.room) {
+        // Emit to the room so all joined sockets receive the saved message
+        io.to(message.room).emit('receiveMessage', populatedMessage);
+      } else if (message.receiver) {
+        if (!queued) {
+          // Emit to every connected device of the RECEIVER, and retry until one acks it
+          console.log(`📨 [messageDelivery] Sending receiveMessage to receiver: ${message.receiver}`);
+          emitToUser(message.receiver, 'receiveMessage', populatedMessage);
+          awaitAck(message._id);
+        }
+
+        // ALSO emit to SENDER's devices so they can replace optimistic message with persisted one
+        console.log(`📨 [messageDelivery] Sending receiveMessage to sender: ${senderId}`);
+        emitToUser(senderId, 'receiveMessage', populatedMessage);
+      }
+    }
+  } catch (emitErr) {
+    console.warn('Failed to emit saved message via Socket.IO:', emitErr);
+  }
+
+  // Inform sender sockets about the persisted status (sent, or queued for an offline receiver)
+  try {
+    const msgId = populatedMessage._id || populatedMessage.id;
+    const status = queued ? 'queued' : 'sent';
+    console.log(`✅ [messageDelivery] Emitting messageStatusUpdate to sender (userId=${senderId}): messageId=${msgId}, status=${status}, clientTempId=${clientTempId}`);
+    emitToUser(senderId, 'messageStatusUpdate', {
+      messageId: msgId,
+      status,
+      clientTempId: clientTempId || null
+    });
+  } catch (statusErr) {
+    console.warn('Failed to emit messageStatusUpdate to sender sockets:', statusErr);
+  }
+
+  return populatedMessage;
+}
+
+/**
+ * Replay to a freshly connected socket, oldest first, the direct messages its user hasn't acked
+ * and the room messages past their delivery cursors, then emit pendingMessagesReplayed
+ * { count, hasMore }. Clients ack each one with messageDelivered; hasMore means another batch
+ * follows on the next connection (or via GET /api/chat/history).
+ */
+async function replayPending(socket, userId) {
+  const me = new mongoose.Types.ObjectId(String(userId));
+  const batch = config.MESSAGE_REPLAY_BATCH_SIZE;
+  const visible = { sender: { $ne: me }, deletedAt: null, hiddenFor: { $ne: me } };
+
+  const direct = await populateMessage(
+    Chat.find({ ...visible, receiver: me, room: { $exists: false }, status: { $in: UNDELIVERED } })
+      .sort({ timestamp: 1, _id: 1 })
+      .limit(batch + 1)
+  );
+  let hasMore = direct.length > batch;
+  const replay = direct.slice(0, batch);
+
+  // Rooms: only ones the member has acked something in before, so joining an old room doesn't
+  // replay its whole history
+  const rooms = await Room.find({ $or: [{ participants: me }, { admins: me }] }).select('_id').lean();
+  const cursors = await RoomReadCursor.find({
+    user: me,
+    thread: null,
+    room: { $in: rooms.map(room => String(room._id)) },
+    lastDeliveredMessageAt: { $ne: null }
+  }).lean();
+
+  for (const cursor of cursors) {
+    const remaining = batch - replay.length;
+    if (remaining <= 0) {
+      hasMore = true;
+      break;
+    }
+    const missed = await populateMessage(
+      Chat.find({ ...visible, room: cursor.room, threadRoot: null, timestamp: { $gt: cursor.lastDeliveredMessageAt } })
+        .sort({ timestamp: 1, _id: 1 })
+        .limit(remaining + 1)
+    );
+    if (missed.length > remaining) hasMore = true;
+    replay.push(...missed.slice(0, remaining));
+  }
+
+  replay.sort((a, b) => a.timestamp - b.timestamp || String(a._id).localeCompare(String(b._id)));
+  for (const message of replay) {
+    socket.emit('receiveMessage', toPayload(message, { replayed: true }));
+    if (!message.room) awaitAck(message._id);
+  }
+  socket.emit('pendingMessagesReplayed', { count: replay.length, hasMore });
+  return replay.length;
+}
+
+module.exports = {
+  loadMessage,
+  publishMessage,
+  acknowledge,
+  replayPending
+};
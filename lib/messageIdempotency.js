@@ -0,0 +1,104 @@
+const Chat = require('./models/Chat');
+const MessageIdempotencyKey = require('./models/MessageIdempotencyKey');
+const { config } = require('../server/utils/env');
+
+const MAX_KEY_LENGTH = 200;
+// A claim whose send never finished (e.g. the server restarted mid-send) may be taken over after this
+const STALE_CLAIM_MS = 60 * 1000;
+
+const idempotencyError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * The key for a send: an explicit Idempotency-Key wins over the clientTempId. Returns null when
+ * the client sent neither.
+ */
+function resolveKey(idempotencyKey, clientTempId) {
+  const value = idempotencyKey != null && idempotencyKey !== '' ? idempotencyKey : clientTempId;
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw idempotencyError('Idempotency key must be a string', 'IDEMPOTENCY_KEY_INVALID');
+  }
+  const key = String(value).trim();
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    throw idempotencyError(`Idempotency key must be 1-${MAX_KEY_LENGTH} characters`, 'IDEMPOTENCY_KEY_INVALID');
+  }
+  return key;
+}
+
+// Take over a claim that expired, was abandoned mid-send, or points at a message that no longer exists
+async function takeOver(existing, now) {
+  const reusable = existing.expiresAt <= now
+    || (!existing.message && existing.claimedAt <= new Date(now.getTime() - STALE_CLAIM_MS))
+    || (existing.message && !(await Chat.exists({ _id: existing.message })));
+  if (!reusable) return null;
+
+  return MessageIdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, claimedAt: existing.claimedAt },
+    { $set: { message: null, claimedAt: now, expiresAt: new Date(now.getTime() + config.MESSAGE_IDEMPOTENCY_WINDOW_MS) } },
+    { new: true }
+  );
+}
+
+/**
+ * Claim a key for a new send. Returns { claim } when the caller should send, or { messageId }
+ * of the message an earlier send with the same key saved. Throws IDEMPOTENCY_IN_PROGRESS while
+ * that earlier send hasn't finished.
+ */
+async function claimKey(senderId, key) {
+  const now = new Date();
+  try {
+    const claim = await MessageIdempotencyKey.create({
+      sender: senderId,
+      key,
+      claimedAt: now,
+      expiresAt: new Date(now.getTime() + config.MESSAGE_IDEMPOTENCY_WINDOW_MS)
+    });
+    return { claim };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await MessageIdempotencyKey.findOne({ sender: senderId, key });
+  if (!existing) return claimKey(senderId, key); // reaped in between
+
+  const claim = await takeOver(existing, now);
+  if (claim) return { claim };
+  if (existing.message) return { messageId: existing.message };
+  throw idempotencyError('A message with this key is still being sent', 'IDEMPOTENCY_IN_PROGRESS');
+}
+
+/**
+ * Run `send` (which saves and returns a message) at most once per sender and key within
+ * MESSAGE_IDEMPOTENCY_WINDOW_MS. Returns { message } for a new send or { messageId } of the
+ * original on a retry. Without a key, `send` always runs.
+ */
+async function sendOnce(senderId, key, send) {
+  if (!key) return { message: await send() };
+
+  const { claim, messageId } = await claimKey(senderId, key);
+  if (messageId) return { messageId };
+
+  let message;
+  try {
+    message = await send();
+  } catch (err) {
+    // A failed send may be retried with the same key
+    await MessageIdempotencyKey.deleteOne({ _id: claim._id }).catch(() => {});
+    throw err;
+  }
+
+  // The message is saved at this point, so a failure to record it only costs deduplication
+  // (the stale claim is taken over by a later retry)
+  await MessageIdempotencyKey.updateOne({ _id: claim._id }, { $set: { message: message._id } })
+    .catch(err => console.error(`Failed to record idempotency key for message ${message._id}:`, err));
+  return { message };
+}
+
+module.exports = {
+  resolveKey,
+  sendOnce
+};
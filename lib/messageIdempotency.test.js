@@ -0,0 +1,166 @@
+// In-memory stand-ins for the collections lib/messageIdempotency.js touches
+jest.mock('./models/MessageIdempotencyKey', () => {
+  const docs = [];
+  let nextId = 1;
+
+  const same = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : String(a) === String(b));
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => same(doc[key], value));
+
+  return {
+    docs,
+    create: async (fields) => {
+      if (docs.some(d => d.sender === fields.sender && d.key === fields.key)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const doc = { _id: nextId++, message: null, ...fields };
+      docs.push(doc);
+      return { ...doc };
+    },
+    findOne: async (filter) => {
+      const doc = docs.find(d => matches(d, filter));
+      return doc ? { ...doc } : null;
+    },
+    findOneAndUpdate: async (filter, { $set }) => {
+      const doc = docs.find(d => matches(d, filter));
+      return doc ? { ...Object.assign(doc, $set) } : null;
+    },
+    updateOne: jest.fn(async (filter, { $set }) => {
+      const doc = docs.find(d => matches(d, filter));
+      if (doc) Object.assign(doc, $set);
+    }),
+    deleteOne: async (filter) => {
+      const index = docs.findIndex(d => matches(d, filter));
+      if (index !== -1) docs.splice(index, 1);
+    }
+  };
+});
+jest.mock('./models/Chat', () => {
+  const saved = new Set();
+  return { saved, exists: async ({ _id }) => (saved.has(_id) ? { _id } : null) };
+});
+
+const Chat = require('./models/Chat');
+const MessageIdempotencyKey = require('./models/MessageIdempotencyKey');
+const { resolveKey, sendOnce } = require('./messageIdempotency');
+
+let nextMessageId = 1;
+const send = jest.fn(async () => {
+  const message = { _id: `msg-${nextMessageId++}` };
+  Chat.saved.add(message._id);
+  return message;
+});
+
+beforeEach(() => {
+  nextMessageId = 1;
+  MessageIdempotencyKey.docs.length = 0;
+  Chat.saved.clear();
+  send.mockClear();
+  MessageIdempotencyKey.updateOne.mockClear();
+});
+
+const codeOf = (promise) => promise.then(() => null, err => err.code);
+
+describe('resolveKey', () => {
+  it('prefers the Idempotency-Key over the clientTempId', () => {
+    expect(resolveKey('header-key', 'temp-1')).toBe('header-key');
+    expect(resolveKey(undefined, 'temp-1')).toBe('temp-1');
+    expect(resolveKey('', 42)).toBe('42');
+  });
+
+  it('trims the key', () => {
+    expect(resolveKey('  key-1 ')).toBe('key-1');
+  });
+
+  it('returns null when the client sent neither', () => {
+    expect(resolveKey(undefined, undefined)).toBeNull();
+    expect(resolveKey('', '')).toBeNull();
+  });
+
+  it('rejects blank, oversized and non-string keys', () => {
+    for (const key of ['   ', 'k'.repeat(201), { key: 1 }]) {
+      expect(() => resolveKey(key)).toThrow(expect.objectContaining({ code: 'IDEMPOTENCY_KEY_INVALID' }));
+    }
+    expect(resolveKey('k'.repeat(200))).toHaveLength(200);
+  });
+});
+
+describe('sendOnce', () => {
+  it('always sends without a key', async () => {
+    await sendOnce('user-1', null, send);
+    await sendOnce('user-1', null, send);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(MessageIdempotencyKey.docs).toHaveLength(0);
+  });
+
+  it('sends once and returns the original message id on a retry', async () => {
+    const first = await sendOnce('user-1', 'key-1', send);
+    const retry = await sendOnce('user-1', 'key-1', send);
+    expect(first).toEqual({ message: { _id: 'msg-1' } });
+    expect(retry).toEqual({ messageId: 'msg-1' });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('scopes keys to the sender', async () => {
+    await sendOnce('user-1', 'key-1', send);
+    const other = await sendOnce('user-2', 'key-1', send);
+    expect(other.message).toEqual({ _id: 'msg-2' });
+  });
+
+  it('rejects a retry while the first send is still running', async () => {
+    let finish;
+    const slow = () => new Promise(resolve => { finish = resolve; });
+    const first = sendOnce('user-1', 'key-1', slow);
+    await new Promise(setImmediate);
+
+    expect(await codeOf(sendOnce('user-1', 'key-1', send))).toBe('IDEMPOTENCY_IN_PROGRESS');
+    finish({ _id: 'msg-slow' });
+    expect(await first).toEqual({ message: { _id: 'msg-slow' } });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('releases the key when the send fails', async () => {
+    const failing = jest.fn(async () => { throw new Error('save failed'); });
+    await expect(sendOnce('user-1', 'key-1', failing)).rejects.toThrow('save failed');
+    expect(MessageIdempotencyKey.docs).toHaveLength(0);
+
+    expect(await sendOnce('user-1', 'key-1', send)).toEqual({ message: { _id: 'msg-1' } });
+  });
+
+  it('still returns the message when recording the key fails', async () => {
+    MessageIdempotencyKey.updateOne.mockRejectedValueOnce(new Error('write failed'));
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await sendOnce('user-1', 'key-1', send)).toEqual({ message: { _id: 'msg-1' } });
+    expect(spy).toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  it('takes over a claim abandoned mid-send', async () => {
+    await MessageIdempotencyKey.create({
+      sender: 'user-1',
+      key: 'key-1',
+      claimedAt: new Date(Date.now() - 2 * 60 * 1000),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    expect(await sendOnce('user-1', 'key-1', send)).toEqual({ message: { _id: 'msg-1' } });
+    expect(MessageIdempotencyKey.docs[0].message).toBe('msg-1');
+  });
+
+  it('takes over an expired key', async () => {
+    Chat.saved.add('msg-old');
+    await MessageIdempotencyKey.create({
+      sender: 'user-1',
+      key: 'key-1',
+      message: 'msg-old',
+      claimedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+      expiresAt: new Date(Date.now() - 1000)
+    });
+    expect(await sendOnce('user-1', 'key-1', send)).toEqual({ message: { _id: 'msg-1' } });
+  });
+
+  it('sends again when the original message no longer exists', async () => {
+    await sendOnce('user-1', 'key-1', send);
+    Chat.saved.clear();
+    expect(await sendOnce('user-1', 'key-1', send)).toEqual({ message: { _id: 'msg-2' } });
+    expect(MessageIdempotencyKey.docs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Helpers for message search (GET /api/chat/search): turning the query into search terms and
+ * cutting highlighted snippets out of the text that matched. MongoDB's text index decides what
+ * matches; highlighting is a best-effort, case-insensitive look for the same terms.
+ */
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Split a query into words and "quoted phrases", ignoring -negated terms (they can't be highlighted)
+ */
+function parseSearchTerms(q) {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(q)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim();
+    if (!negated && term) terms.push(term.toLocaleLowerCase());
+  }
+  return [...new Set(terms)];
+}
+
+/**
+ * Find the terms in `text` and return a snippet around the first hit with the hit ranges
+ * ({ start, end } offsets into the snippet), or null when no term occurs.
+ */
+function highlight(text, terms) {
+  if (!text || terms.length === 0) return null;
+  const lower = text.toLocaleLowerCase();
+
+  const ranges = [];
+  for (const term of terms) {
+    let from = 0;
+    let index;
+    while ((index = lower.indexOf(term, from)) !== -1) {
+      ranges.push({ start: index, end: index + term.length });
+      from = index + term.length;
+    }
+  }
+  if (ranges.length === 0) return null;
+  ranges.sort((a, b) => a.start - b.start);
+
+  // Centre the window on the first hit
+  const first = ranges[0];
+  let start = Math.max(0, first.start - Math.floor((SNIPPET_LENGTH - (first.end - first.start)) / 2));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const highlights = [];
+  for (const range of ranges) {
+    if (range.start < start || range.end > end) continue;
+    const previous = highlights[highlights.length - 1];
+    const shifted = { start: range.start - start + prefix.length, end: range.end - start + prefix.length };
+    if (previous && shifted.start < previous.end) {
+      previous.end = Math.max(previous.end, shifted.end);
+    } else {
+      highlights.push(shifted);
+    }
+  }
+
+  return { snippet: `${prefix}${text.slice(start, end)}${suffix}`, highlights };
+}
+
+/**
+ * Snippets for a message: the original text and each translation that contains a term
+ * ({ field, language, snippet, highlights }). Falls back to the start of the original text.
+ */
+function messageHighlights(message, terms) {
+  const sources = [{ field: 'originalContent', language: message.originalLanguage, text: message.originalContent }];
+  const translations = message.translations instanceof Map
+    ? [...message.translations.entries()]
+    : Object.entries(message.translations || {});
+  for (const [language, text] of translations) {
+    sources.push({ field: `translations.${language}`, language, text });
+  }
+
+  const results = [];
+  for (const source of sources) {
+    const hit = highlight(source.text, terms);
+    if (hit) results.push({ field: source.field, language: source.language, ...hit });
+  }
+  if (results.length > 0) return results;
+
+  const text = message.originalContent || '';
+  return [{
+    field: 'originalContent',
+    language: message.originalLanguage,
+    snippet: text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text,
+    highlights: []
+  }];
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  parseSearchTerms,
+  highlight,
+  messageHighlights
+};
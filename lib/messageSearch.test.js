@@ -0,0 +1,86 @@
+const { parseSearchTerms, highlight, messageHighlights } = require('./messageSearch');
+
+const marked = ({ snippet, highlights }) => highlights.map(({ start, end }) => snippet.slice(start, end));
+
+describe('parseSearchTerms', () => {
+  it('splits words and lowercases them', () => {
+    expect(parseSearchTerms('Hello  World')).toEqual(['hello', 'world']);
+  });
+
+  it('keeps quoted phrases together', () => {
+    expect(parseSearchTerms('"good morning" friend')).toEqual(['good morning', 'friend']);
+  });
+
+  it('drops negated words and phrases', () => {
+    expect(parseSearchTerms('dinner -lunch -"late night"')).toEqual(['dinner']);
+  });
+
+  it('removes duplicates', () => {
+    expect(parseSearchTerms('Tea tea TEA')).toEqual(['tea']);
+  });
+});
+
+describe('highlight', () => {
+  it('returns null without a hit', () => {
+    expect(highlight('nothing here', ['tea'])).toBeNull();
+    expect(highlight('', ['tea'])).toBeNull();
+    expect(highlight('tea time', [])).toBeNull();
+  });
+
+  it('marks every occurrence, ignoring case', () => {
+    const hit = highlight('Tea for two, then more tea', ['tea']);
+    expect(hit.snippet).toBe('Tea for two, then more tea');
+    expect(marked(hit)).toEqual(['Tea', 'tea']);
+  });
+
+  it('merges overlapping hits', () => {
+    const hit = highlight('say hello world', ['hello world', 'world']);
+    expect(hit.highlights).toEqual([{ start: 4, end: 15 }]);
+  });
+
+  it('centres long text on the first hit and marks the cut', () => {
+    const text = `${'a '.repeat(150)}needle${' b'.repeat(150)}`;
+    const hit = highlight(text, ['needle']);
+    expect(hit.snippet.startsWith('…')).toBe(true);
+    expect(hit.snippet.endsWith('…')).toBe(true);
+    expect(hit.snippet).toHaveLength(162);
+    expect(marked(hit)).toEqual(['needle']);
+  });
+
+  it('leaves out hits that fall outside the snippet', () => {
+    const text = `tea${' x'.repeat(200)} tea`;
+    const hit = highlight(text, ['tea']);
+    expect(hit.snippet.startsWith('tea')).toBe(true);
+    expect(hit.highlights).toEqual([{ start: 0, end: 3 }]);
+  });
+});
+
+describe('messageHighlights', () => {
+  const message = {
+    originalLanguage: 'en',
+    originalContent: 'See you at the station',
+    translations: new Map([['fr', 'On se voit à la gare'], ['de', 'Wir sehen uns am Bahnhof']])
+  };
+
+  it('returns the original text and translations that match', () => {
+    expect(messageHighlights(message, ['station', 'gare'])).toEqual([
+      { field: 'originalContent', language: 'en', snippet: 'See you at the station', highlights: [{ start: 15, end: 22 }] },
+      { field: 'translations.fr', language: 'fr', snippet: 'On se voit à la gare', highlights: [{ start: 16, end: 20 }] }
+    ]);
+  });
+
+  it('accepts translations as a plain object', () => {
+    const lean = { ...message, translations: { de: 'Wir sehen uns am Bahnhof' } };
+    expect(messageHighlights(lean, ['bahnhof'])).toEqual([
+      { field: 'translations.de', language: 'de', snippet: 'Wir sehen uns am Bahnhof', highlights: [{ start: 17, end: 24 }] }
+    ]);
+  });
+
+  it('falls back to the start of the original text', () => {
+    expect(messageHighlights(message, ['stemmed'])).toEqual([
+      { field: 'originalContent', language: 'en', snippet: 'See you at the station', highlights: [] }
+    ]);
+    const long = messageHighlights({ ...message, originalContent: 'x'.repeat(200) }, ['stemmed']);
+    expect(long[0].snippet).toBe(`${'x'.repeat(160)}…`);
+  });
+});
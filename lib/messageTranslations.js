@@ -0,0 +1,73 @@
+const Chat = require('./models/Chat');
+const { conversationLanguages } = require('./messages');
+const { config } = require('../server/utils/env');
+const { translateToLanguages } = require('../server/utils/messageTranslator');
+const { emitToConversation } = require('../server/utils/socketEmitter');
+
+/**
+ * Server-side translation of new messages: after a message is sent its text is translated in the
+ * background into the preferred language of everyone in the conversation, stored in
+ * Chat.translations and pushed to clients with a messageTranslated event.
+ * (Edits translate synchronously in lib/messages.js; voice notes once transcribed in lib/voiceNotes.js.)
+ */
+
+const messageTranslatedPayload = (message) => ({
+  messageId: message._id,
+  roomId: message.room || null,
+  threadId: message.threadRoot || null,
+  originalLanguage: message.originalLanguage,
+  translations: Object.fromEntries(message.translations || [])
+});
+
+/**
+ * Translate one message into the conversation's languages it doesn't have yet, then notify the
+ * conversation. Returns the updated message, or null when there was nothing to do.
+ */
+async function translateMessage(messageId) {
+  const message = await Chat.findById(messageId);
+  if (!message || message.deletedAt || !message.originalContent) return null;
+  if (message.voiceNote && message.voiceNote.transcriptStatus) return null;
+
+  const existing = message.translations || new Map();
+  const missing = (await conversationLanguages(message)).filter(language => !existing.has(language));
+  const added = await translateToLanguages(message.originalContent, message.originalLanguage, missing);
+  if (Object.keys(added).length === 0) return null;
+
+  const translations = { ...Object.fromEntries(existing), ...added };
+  // Skip if the message was edited (it got fresh translations then) or deleted meanwhile
+  const updated = await Chat.findOneAndUpdate(
+    { _id: message._id, deletedAt: null, originalContent: message.originalContent },
+    { $set: { translations, searchText: Chat.searchTextFor(message.originalContent, translations) } },
+    { new: true }
+  );
+  if (updated) emitToConversation(updated, 'messageTranslated', messageTranslatedPayload(updated));
+  return updated;
+}
+
+// Small in-process queue so a busy room doesn't fire a burst of translator requests at once
+const queue = [];
+let running = 0;
+
+function drainQueue() {
+  while (running < config.MESSAGE_TRANSLATION_CONCURRENCY && queue.length > 0) {
+    const messageId = queue.shift();
+    running += 1;
+    translateMessage(messageId)
+      .catch(err => console.error(`Message translation failed for ${messageId}:`, err))
+      .finally(() => {
+        running -= 1;
+        drainQueue();
+      });
+  }
+}
+
+function scheduleTranslation(messageId) {
+  if (!config.AZURE_TRANSLATOR_KEY) return;
+  queue.push(messageId);
+  drainQueue();
+}
+
+module.exports = {
+  translateMessage,
+  scheduleTranslation
+};
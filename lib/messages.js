@@ -0,0 +1,460 @@
+const mongoose = require('mongoose');
+const Chat = require('./models/Chat');
+const Room = require('./models/Room');
+const User = require('./models/User');
+const { isBlockedBetween } = require('./contacts');
+const { config } = require('../server/utils/env');
+const { translateToLanguages } = require('../server/utils/messageTranslator');
+const { removeAttachments, shareAttachments, unshareAttachments, linkAttachments } = require('./attachments');
+const { emitToConversation } = require('../server/utils/socketEmitter');
+
+/**
+ * Operations on persisted chat messages (Chat documents) after they have been sent.
+ */
+
+// Text left behind by delete-for-everyone
+const DELETED_MESSAGE_TEXT = 'This message was deleted';
+
+const DELETE_SCOPES = ['me', 'everyone'];
+
+// A single emoji, optionally with modifiers / ZWJ sequences / flags, and nothing else
+const EMOJI_PATTERN = /^(?:[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Component}\u200d\ufe0f])+$/u;
+const MAX_EMOJI_LENGTH = 32;
+
+// Length of the quoted text stored with a reply
+const REPLY_SNIPPET_LENGTH = 120;
+
+const messageError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * True when the user is part of the message's conversation (DM sender/receiver or room participant)
+ */
+async function canAccessMessage(message, userId) {
+  const id = String(userId);
+  if (String(message.sender) === id || (message.receiver && String(message.receiver) === id)) return true;
+  if (!message.room || !mongoose.Types.ObjectId.isValid(message.room)) return false;
+  return Boolean(await Room.exists({ _id: message.room, $or: [{ participants: userId }, { admins: userId }] }));
+}
+
+/**
+ * Load a message the user can see. Throws MESSAGE_NOT_FOUND otherwise, so ids of other people's
+ * messages aren't confirmed.
+ */
+async function findAccessibleMessage(messageId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) throw messageError('Message not found', 'MESSAGE_NOT_FOUND');
+  const message = await Chat.findById(messageId);
+  if (!message || !(await canAccessMessage(message, userId))) {
+    throw messageError('Message not found', 'MESSAGE_NOT_FOUND');
+  }
+  return message;
+}
+
+const snippetOf = (text) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > REPLY_SNIPPET_LENGTH ? `${value.slice(0, REPLY_SNIPPET_LENGTH - 1)}…` : value;
+};
+
+// Same DM pair, or same room
+const inConversation = (message, { userId, roomId, receiverId }) => {
+  if (roomId) return String(message.room) === String(roomId);
+  if (message.room) return false;
+  const pair = (a, b) => [String(a), String(b)].sort().join(':');
+  return pair(message.sender, message.receiver) === pair(userId, receiverId);
+};
+
+/**
+ * Validate the reply/thread references of a message about to be sent and return the fields to
+ * store on it ({ replyTo, threadRoot }). Replies must quote a message of the same conversation;
+ * threads only exist in rooms, and replying inside a thread always attaches to its root.
+ * Throws MESSAGE_NOT_FOUND / MESSAGE_DELETED / MESSAGE_INVALID / THREAD_INVALID.
+ */
+async function resolveReplyContext({ userId, roomId, receiverId, replyToId, threadId }) {
+  const context = {};
+
+  if (threadId) {
+    if (!roomId) throw messageError('Threads are only available in rooms', 'THREAD_INVALID');
+    const root = await findAccessibleMessage(threadId, userId);
+    if (String(root.room) !== String(roomId)) {
+      throw messageError('The thread belongs to another room', 'THREAD_INVALID');
+    }
+    context.threadRoot = root.threadRoot || root._id;
+  }
+
+  if (replyToId) {
+    const parent = await findAccessibleMessage(replyToId, userId);
+    if (parent.deletedAt) throw messageError('This message has been deleted', 'MESSAGE_DELETED');
+    if (!inConversation(parent, { userId, roomId, receiverId })) {
+      throw messageError('You can only reply to a message in the same conversation', 'MESSAGE_INVALID');
+    }
+    const firstFile = parent.attachments && parent.attachments[0];
+    context.replyTo = {
+      message: parent._id,
+      sender: parent.sender,
+      snippet: snippetOf(parent.originalContent) || (firstFile ? `📎 ${firstFile.fileName}` : '')
+    };
+  }
+
+  return context;
+}
+
+/**
+ * Bump the counters on a thread's root after a reply was saved. Returns the threadUpdated payload.
+ */
+async function recordThreadReply(reply) {
+  const root = await Chat.findByIdAndUpdate(
+    reply.threadRoot,
+    { $inc: { threadReplyCount: 1 }, $max: { threadLastReplyAt: reply.timestamp } },
+    { new: true }
+  );
+  if (!root) return null;
+  return {
+    threadId: root._id,
+    roomId: root.room,
+    replyCount: root.threadReplyCount,
+    lastReplyAt: root.threadLastReplyAt,
+    lastReplyId: reply._id
+  };
+}
+
+/**
+ * Build (without saving) a new message from the sender to a room or a user: checks the
+ * conversation, reply/thread references and attachment ids (which are shared into it).
+ * `sender` is the authenticated principal ({ userId, isBot }).
+ * Throws MESSAGE_INVALID / BOT_ROOM_FORBIDDEN / ROOM_FORBIDDEN / USER_BLOCKED and the errors of
+ * resolveReplyContext and shareAttachments.
+ */
+async function prepareMessage({ sender, content, roomId, receiverId, replyToId, threadId, attachmentIds }) {
+  const hasAttachments = Array.isArray(attachmentIds) && attachmentIds.length > 0;
+  if (!content && !hasAttachments) {
+    throw messageError('Message content or attachments are required', 'MESSAGE_INVALID');
+  }
+
+  const user = await User.findById(sender.userId).select('preferredLanguage');
+  const message = new Chat({
+    sender: sender.userId,
+    originalContent: content || '',
+    content: content || '',
+    originalLanguage: (user && user.preferredLanguage) || 'en',
+    // mark as sent when saved to DB
+    status: 'sent',
+    timestamp: new Date(),
+    translations: new Map()
+  });
+
+  if (roomId) {
+    // Bots can only post into rooms they have been added to
+    if (sender.isBot && (!mongoose.Types.ObjectId.isValid(roomId) ||
+      !(await Room.exists({ _id: roomId, participants: sender.userId })))) {
+      throw messageError('Bot is not a participant of this room', 'BOT_ROOM_FORBIDDEN');
+    }
+    // Persisted rooms are members-only (removed members can no longer post)
+    if (mongoose.Types.ObjectId.isValid(roomId) && (await Room.exists({ _id: roomId })) &&
+      !(await Room.exists({ _id: roomId, $or: [{ participants: sender.userId }, { admins: sender.userId }] }))) {
+      throw messageError('You are not a member of this room', 'ROOM_FORBIDDEN');
+    }
+    message.room = roomId;
+    message.isGroupMessage = true;
+  } else if (receiverId) {
+    if (!mongoose.Types.ObjectId.isValid(receiverId)) {
+      throw messageError('Invalid receiverId', 'MESSAGE_INVALID');
+    }
+    if (await isBlockedBetween(sender.userId, receiverId)) {
+      throw messageError('You cannot message this user', 'USER_BLOCKED');
+    }
+    message.receiver = receiverId;
+  } else {
+    throw messageError('Either receiverId or roomId is required', 'MESSAGE_INVALID');
+  }
+
+  // Quoted reply and/or thread reply
+  if (replyToId || threadId) {
+    message.set(await resolveReplyContext({ userId: sender.userId, roomId, receiverId, replyToId, threadId }));
+  }
+
+  // Files uploaded beforehand via POST /api/chat/attachments
+  if (hasAttachments) {
+    message.attachments = await shareAttachments({ userId: sender.userId, attachmentIds, roomId, receiverId });
+  }
+
+  return message;
+}
+
+/**
+ * Save a message built by prepareMessage. If the save fails its attachments go back to being
+ * unsent, so they can be attached to a retry.
+ */
+async function saveMessage(message) {
+  try {
+    return await message.save();
+  } catch (err) {
+    await unshareAttachments((message.attachments || []).map(a => a.attachment))
+      .catch(rollbackErr => console.error('Failed to release attachments of an unsaved message:', rollbackErr));
+    throw err;
+  }
+}
+
+/**
+ * Bookkeeping once a new message is saved: link its attachments and update its thread
+ * (emitting threadUpdated to the room)
+ */
+async function recordSentMessage(message) {
+  await linkAttachments((message.attachments || []).map(a => a.attachment), message._id);
+  if (message.threadRoot) {
+    const threadUpdate = await recordThreadReply(message);
+    if (threadUpdate) emitToConversation(message, 'threadUpdated', threadUpdate);
+  }
+}
+
+/**
+ * Preferred languages of everyone in the message's conversation
+ */
+async function conversationLanguages(message) {
+  let userIds = [message.sender, message.receiver].filter(Boolean);
+  if (message.room && mongoose.Types.ObjectId.isValid(message.room)) {
+    const room = await Room.findById(message.room).select('participants').lean();
+    if (room) userIds = room.participants;
+  }
+  const users = await User.find({ _id: { $in: userIds } }).select('preferredLanguage').lean();
+  return [...new Set(users.map(user => user.preferredLanguage).filter(Boolean))];
+}
+
+/**
+ * Replace the text of a message. Only the sender may edit, within config.MESSAGE_EDIT_WINDOW_MS of
+ * sending. The previous text is kept in editHistory and the translations are regenerated for the
+ * conversation's languages (plus any language it had already been translated into).
+ * Throws MESSAGE_INVALID / MESSAGE_NOT_FOUND / MESSAGE_EDIT_FORBIDDEN / MESSAGE_EDIT_WINDOW_EXPIRED /
+ * USER_BLOCKED / MESSAGE_EDIT_CONFLICT.
+ */
+async function editMessage({ messageId, userId, content }) {
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (!text) throw messageError('Message content is required', 'MESSAGE_INVALID');
+
+  const message = await findAccessibleMessage(messageId, userId);
+  if (message.deletedAt) throw messageError('This message has been deleted', 'MESSAGE_DELETED');
+  if (String(message.sender) !== String(userId)) {
+    throw messageError('Only the sender can edit a message', 'MESSAGE_EDIT_FORBIDDEN');
+  }
+  if (message.voiceNote && message.voiceNote.transcriptStatus) {
+    throw messageError('Voice notes cannot be edited', 'MESSAGE_EDIT_FORBIDDEN');
+  }
+  if (Date.now() - message.timestamp.getTime() > config.MESSAGE_EDIT_WINDOW_MS) {
+    throw messageError('This message can no longer be edited', 'MESSAGE_EDIT_WINDOW_EXPIRED');
+  }
+  if (message.receiver && (await isBlockedBetween(userId, message.receiver))) {
+    throw messageError('You cannot message this user', 'USER_BLOCKED');
+  }
+  if (text === message.originalContent) return message;
+
+  const languages = new Set([...(await conversationLanguages(message)), ...message.translations.keys()]);
+  const translations = await translateToLanguages(text, message.originalLanguage, [...languages]);
+
+  const editedAt = new Date();
+  // Only apply the edit if nobody changed the text while we were translating
+  const updated = await Chat.findOneAndUpdate(
+    { _id: message._id, originalContent: message.originalContent, deletedAt: null },
+    {
+      $set: { originalContent: text, content: text, translations, editedAt },
+      $push: { editHistory: { content: message.originalContent, editedAt } }
+    },
+    { new: true }
+  );
+  if (!updated) throw messageError('The message was changed by another request', 'MESSAGE_EDIT_CONFLICT');
+  return updated;
+}
+
+const isEmoji = (value) => typeof value === 'string' && value.length <= MAX_EMOJI_LENGTH &&
+  EMOJI_PATTERN.test(value) && /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u.test(value);
+
+// Reactions need a live message the user may still interact with
+async function findReactableMessage(messageId, userId, emoji) {
+  if (!isEmoji(emoji)) throw messageError('Reaction must be a single emoji', 'REACTION_INVALID');
+  const message = await findAccessibleMessage(messageId, userId);
+  if (message.deletedAt) throw messageError('This message has been deleted', 'MESSAGE_DELETED');
+  const otherId = String(message.sender) === String(userId) ? message.receiver : message.sender;
+  if (!message.room && otherId && (await isBlockedBetween(userId, otherId))) {
+    throw messageError('You cannot interact with this user', 'USER_BLOCKED');
+  }
+  return message;
+}
+
+/**
+ * React to a message. Adding the same emoji twice is a no-op; a user may use at most
+ * config.MESSAGE_MAX_REACTIONS_PER_USER different emoji per message.
+ * Returns { message, changed }. Throws REACTION_INVALID / REACTION_LIMIT / MESSAGE_NOT_FOUND /
+ * MESSAGE_DELETED / USER_BLOCKED.
+ */
+async function addReaction({ messageId, userId, emoji }) {
+  const message = await findReactableMessage(messageId, userId, emoji);
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  // Conditional push so concurrent reactions can't exceed the limit or duplicate an entry
+  const updated = await Chat.findOneAndUpdate(
+    {
+      _id: message._id,
+      deletedAt: null,
+      reactions: { $not: { $elemMatch: { user: userObjectId, emoji } } },
+      $expr: {
+        $lt: [
+          { $size: { $filter: { input: { $ifNull: ['$reactions', []] }, cond: { $eq: ['$$this.user', userObjectId] } } } },
+          config.MESSAGE_MAX_REACTIONS_PER_USER
+        ]
+      }
+    },
+    { $push: { reactions: { emoji, user: userObjectId, createdAt: new Date() } } },
+    { new: true }
+  );
+  if (updated) return { message: updated, changed: true };
+
+  const current = await Chat.findById(message._id);
+  if (!current || current.deletedAt) throw messageError('This message has been deleted', 'MESSAGE_DELETED');
+  if (current.reactions.some(r => String(r.user) === String(userId) && r.emoji === emoji)) {
+    return { message: current, changed: false };
+  }
+  throw messageError(
+    `You can add at most ${config.MESSAGE_MAX_REACTIONS_PER_USER} reactions to a message`,
+    'REACTION_LIMIT'
+  );
+}
+
+/**
+ * Remove the user's reaction. Returns { message, changed }.
+ */
+async function removeReaction({ messageId, userId, emoji }) {
+  const message = await findReactableMessage(messageId, userId, emoji);
+  const result = await Chat.updateOne(
+    { _id: message._id },
+    { $pull: { reactions: { user: new mongoose.Types.ObjectId(String(userId)), emoji } } }
+  );
+  return { message: await Chat.findById(message._id), changed: result.modifiedCount > 0 };
+}
+
+/**
+ * Group raw reaction entries per emoji, in order of first use:
+ * [{ emoji, count, userIds }]
+ */
+function aggregateReactions(reactions) {
+  const byEmoji = new Map();
+  for (const reaction of reactions || []) {
+    if (!byEmoji.has(reaction.emoji)) byEmoji.set(reaction.emoji, { emoji: reaction.emoji, count: 0, userIds: [] });
+    const entry = byEmoji.get(reaction.emoji);
+    entry.count += 1;
+    entry.userIds.push(String(reaction.user && reaction.user._id ? reaction.user._id : reaction.user));
+  }
+  return [...byEmoji.values()];
+}
+
+/**
+ * The messageReaction socket payload
+ */
+const messageReactionPayload = (message, { userId, emoji, action }) => ({
+  messageId: message._id,
+  roomId: message.room || null,
+  userId: String(userId),
+  emoji,
+  action,
+  reactions: aggregateReactions(message.reactions)
+});
+
+/**
+ * Delete a message.
+ * - 'me': hide it from the user's own history; everyone else still sees it.
+ * - 'everyone': the sender (or an admin of the room) replaces it with a tombstone for all
+ *   participants; the text, edit history, stored translations and attachments are discarded.
+ * Returns the updated message. Throws MESSAGE_INVALID / MESSAGE_NOT_FOUND / MESSAGE_DELETE_FORBIDDEN.
+ */
+async function deleteMessage({ messageId, userId, scope = 'me' }) {
+  if (!DELETE_SCOPES.includes(scope)) {
+    throw messageError(`scope must be one of: ${DELETE_SCOPES.join(', ')}`, 'MESSAGE_INVALID');
+  }
+
+  const message = await findAccessibleMessage(messageId, userId);
+
+  if (scope === 'me') {
+    return Chat.findByIdAndUpdate(message._id, { $addToSet: { hiddenFor: userId } }, { new: true });
+  }
+
+  if (message.deletedAt) return message;
+  const isSender = String(message.sender) === String(userId);
+  const isRoomAdmin = !isSender && message.room && mongoose.Types.ObjectId.isValid(message.room) &&
+    Boolean(await Room.exists({ _id: message.room, admins: userId }));
+  if (!isSender && !isRoomAdmin) {
+    throw messageError('Only the sender or a room admin can delete this message for everyone', 'MESSAGE_DELETE_FORBIDDEN');
+  }
+
+  const attachmentIds = (message.attachments || []).map(a => a.attachment);
+  const deleted = await Chat.findByIdAndUpdate(message._id, {
+    $set: {
+      originalContent: DELETED_MESSAGE_TEXT,
+      content: DELETED_MESSAGE_TEXT,
+      translations: {},
+      editHistory: [],
+      reactions: [],
+      attachments: [],
+      deletedAt: new Date(),
+      deletedBy: userId
+    }
+  }, { new: true });
+
+  // The files go with the message
+  await removeAttachments(attachmentIds).catch(err => {
+    console.warn(`Failed to remove attachments of deleted message ${message._id}:`, err.message);
+  });
+  return deleted;
+}
+
+/**
+ * The messageDeleted socket payload
+ */
+const messageDeletedPayload = (message, scope) => ({
+  messageId: message._id,
+  scope,
+  roomId: message.room || null,
+  senderId: message.sender,
+  receiverId: message.receiver || null,
+  content: message.content,
+  // Lets the receiver of a DM adjust their unread badge without refetching /unread-counts. Room
+  // reads are tracked per member (lib/readReceipts.js), so room clients get null and refetch.
+  wasUnread: message.room ? null : message.status !== 'seen',
+  deletedAt: scope === 'everyone' ? message.deletedAt : new Date(),
+  deletedBy: scope === 'everyone' ? message.deletedBy : null
+});
+
+/**
+ * The messageEdited socket payload
+ */
+const messageEditedPayload = (message) => ({
+  messageId: message._id,
+  roomId: message.room || null,
+  senderId: message.sender,
+  receiverId: message.receiver || null,
+  content: message.content,
+  originalContent: message.originalContent,
+  originalLanguage: message.originalLanguage,
+  translations: Object.fromEntries(message.translations || []),
+  editedAt: message.editedAt,
+  editCount: (message.editHistory || []).length
+});
+
+module.exports = {
+  DELETED_MESSAGE_TEXT,
+  canAccessMessage,
+  findAccessibleMessage,
+  conversationLanguages,
+  resolveReplyContext,
+  recordThreadReply,
+  prepareMessage,
+  saveMessage,
+  recordSentMessage,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  aggregateReactions,
+  messageEditedPayload,
+  messageDeletedPayload,
+  messageReactionPayload
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Credential for a bot account (see lib/apiKeys.js). Only a hash of the key is stored.
+const apiKeySchema = new mongoose.Schema({
+  // The bot user the key acts as
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // First characters of the key, shown in listings so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date
+}, { timestamps: true });
+
+const ApiKey = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
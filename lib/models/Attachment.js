@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// An uploaded chat file (see lib/attachments.js). The bytes live in the blob store under storageKey.
+const attachmentSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'video', 'audio', 'document', 'file'],
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Images only: a small WebP preview
+  thumbnailKey: {
+    type: String
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  // Conversation the file was shared into; it decides who may download it
+  room: {
+    type: String
+  },
+  receiver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sharedAt: {
+    type: Date,
+    default: null
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  }
+}, { timestamps: true });
+
+// Finding uploads that were never sent
+attachmentSchema.index({ sharedAt: 1, createdAt: 1 });
+
+const Attachment = mongoose.models.Attachment || mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// `blocker` no longer receives messages, typing indicators, calls or contact requests from `blocked`
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+const Block = mongoose.models.Block || mongoose.model('Block', blockSchema);
+
+module.exports = Block;
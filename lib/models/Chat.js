@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+function hasNoAttachments() {
+  return !(this.attachments && this.attachments.length);
+}
+
 const chatSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
@@ -10,13 +14,16 @@ const chatSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Text may be empty when the message carries attachments
   originalContent: {
     type: String,
-    required: true
+    required: hasNoAttachments,
+    default: ''
   },
   content: {
     type: String,
-    required: true
+    required: hasNoAttachments,
+    default: ''
   },
   originalLanguage: {
     type: String,
@@ -27,6 +34,12 @@ const chatSchema = new mongoose.Schema({
     of: String,
     default: new Map()
   },
+  // originalContent plus every translation, for the text index (see searchTextFor below)
+  searchText: {
+    type: String,
+    default: '',
+    select: false
+  },
   // Message delivery/read status
   status: {
     type: String,
@@ -49,9 +62,117 @@ const chatSchema = new mongoose.Schema({
   isGroupMessage: {
     type: Boolean,
     default: false
+  },
+  // Set when the sender edits the message; editHistory keeps each replaced text
+  editedAt: {
+    type: Date
+  },
+  editHistory: [{
+    _id: false,
+    content: { type: String, required: true },
+    editedAt: { type: Date, required: true }
+  }],
+  // Files sent with the message (metadata copied from lib/models/Attachment.js)
+  attachments: [{
+    _id: false,
+    attachment: { type: mongoose.Schema.Types.ObjectId, ref: 'Attachment', required: true },
+    kind: { type: String, required: true },
+    fileName: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    url: { type: String, required: true },
+    thumbnailUrl: { type: String }
+  }],
+  // Voice note: the audio is attachments[0]; the transcript becomes the message text when ready
+  voiceNote: {
+    durationMs: { type: Number },
+    transcriptStatus: { type: String, enum: ['pending', 'completed', 'failed', 'skipped'] },
+    transcribedAt: { type: Date }
+  },
+  // Quoted reply: the snippet is copied so it survives the parent being deleted
+  replyTo: {
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat' },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    snippet: { type: String }
+  },
+  // Thread replies (rooms only) point at the thread's root message, which keeps the counters
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  threadReplyCount: {
+    type: Number,
+    default: 0
+  },
+  threadLastReplyAt: {
+    type: Date
+  },
+  // One entry per (user, emoji); see lib/messages.js aggregateReactions for the grouped form
+  reactions: [{
+    _id: false,
+    emoji: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Users who deleted the message for themselves only
+  hiddenFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Deleted for everyone: content is replaced with a tombstone
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Text search covers the original text and all translations; no stemming since messages are in
+// many languages
+chatSchema.index({ searchText: 'text' }, { default_language: 'none' });
+
+const translationValues = (translations) => {
+  if (!translations) return [];
+  return translations instanceof Map ? [...translations.values()] : Object.values(translations);
+};
+
+function searchTextFor(originalContent, translations) {
+  return [originalContent || '', ...translationValues(translations)].filter(Boolean).join('\n');
+}
+
+chatSchema.pre('validate', function syncSearchText(next) {
+  if (this.isNew || this.isModified('originalContent') || this.isModified('translations')) {
+    this.searchText = searchTextFor(this.originalContent, this.translations);
+  }
+  next();
+});
+
+// Updates that set the text and the translations together keep searchText in sync; an update that
+// changes only one of them must set searchText itself (Chat.searchTextFor)
+chatSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function syncSearchTextOnUpdate(next) {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update) || !update.$set) return next();
+  const { originalContent, translations } = update.$set;
+  if (originalContent !== undefined && translations !== undefined) {
+    update.$set.searchText = searchTextFor(originalContent, translations);
+    this.setUpdate(update);
   }
+  next();
 });
 
+chatSchema.statics.searchTextFor = searchTextFor;
+
+// History pages are read newest-first by (timestamp, _id) within a DM pair or a room
+chatSchema.index({ sender: 1, receiver: 1, timestamp: -1, _id: -1 });
+chatSchema.index({ room: 1, threadRoot: 1, timestamp: -1, _id: -1 });
+chatSchema.index({ threadRoot: 1, timestamp: 1 });
+
 const Chat = mongoose.models.Chat || mongoose.model('Chat', chatSchema);
 
 module.exports = Chat;
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One document per pair of users: a pending request until the recipient accepts it
+const contactSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Sorted "<idA>:<idB>" so a pair can only have one request/contact regardless of direction
+  pairKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  acceptedAt: Date
+}, { timestamps: true });
+
+contactSchema.index({ requester: 1, status: 1 });
+contactSchema.index({ recipient: 1, status: 1 });
+
+contactSchema.statics.pairKeyFor = (a, b) => [String(a), String(b)].sort().join(':');
+
+const Contact = mongoose.models.Contact || mongoose.model('Contact', contactSchema);
+
+module.exports = Contact;
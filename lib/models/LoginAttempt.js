@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Audit trail of login attempts; also backs the per-IP failure counter
+const loginAttemptSchema = new mongoose.Schema({
+  mobileNumber: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  userAgent: String,
+  success: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    enum: ['success', 'invalid_password', 'invalid_2fa_code', 'unknown_user', 'locked', 'throttled', 'ip_blocked', 'suspended', 'unverified']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ mobileNumber: 1, createdAt: -1 });
+// Keep the audit trail for 30 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.models.LoginAttempt || mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A client-chosen key (clientTempId or Idempotency-Key header) for one send; a retry with the same
+// key within the window gets the message saved the first time
+const messageIdempotencyKeySchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Null while the first send is still in progress
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+messageIdempotencyKeySchema.index({ sender: 1, key: 1 }, { unique: true });
+messageIdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const MessageIdempotencyKey = mongoose.models.MessageIdempotencyKey
+  || mongoose.model('MessageIdempotencyKey', messageIdempotencyKeySchema);
+
+module.exports = MessageIdempotencyKey;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One pending verification code per mobile number
+const otpCodeSchema = new mongoose.Schema({
+  mobileNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Only a hash of the code is stored
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+// Drop stale codes a while after they expire (kept briefly so the resend cooldown still applies)
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+const OtpCode = mongoose.models.OtpCode || mongoose.model('OtpCode', otpCodeSchema);
+
+module.exports = OtpCode;
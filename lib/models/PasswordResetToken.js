@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Only a SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+    default: 'sms'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  requestedByIp: String
+}, { timestamps: true });
+
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.models.PasswordResetToken || mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+module.exports = PasswordResetToken;
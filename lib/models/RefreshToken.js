@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Only a SHA-256 hash of the token is stored; the raw value is handed to the client once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens issued from one login share a family so reuse can revoke the whole chain
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  createdByIp: String,
+  userAgent: String
+}, { timestamps: true });
+
+// Let MongoDB purge expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.models.RefreshToken || mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// How far a member has received and read a room (thread: null) or one of its threads.
+// Everything up to the *MessageAt timestamps counts as delivered/read for that member.
+const roomReadCursorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  lastReadMessageAt: {
+    type: Date
+  },
+  readAt: {
+    type: Date
+  },
+  lastDeliveredMessageAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+roomReadCursorSchema.index({ user: 1, room: 1, thread: 1 }, { unique: true });
+// Seen-by lookups for one room/thread
+roomReadCursorSchema.index({ room: 1, thread: 1, lastReadMessageAt: 1 });
+
+const RoomReadCursor = mongoose.models.RoomReadCursor || mongoose.model('RoomReadCursor', roomReadCursorSchema);
+
+module.exports = RoomReadCursor;
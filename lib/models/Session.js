@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One document per signed-in device; its _id doubles as the refresh-token family
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceName: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: String,
+  userAgent: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ lastSeenAt: -1 });
+
+const Session = mongoose.models.Session || mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
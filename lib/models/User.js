@@ -15,7 +15,116 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  passwordChangedAt: Date,
+  // Brute-force protection (see lib/loginThrottle.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
   email: String,
+  // Set once the mobile number has been confirmed with an OTP; required to log in and place calls
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: Date,
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Bot accounts are created by admins, cannot log in and authenticate with API keys only
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+  botCreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Optional TOTP two-factor authentication (see lib/twoFactor.js); secrets are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP step, so a code can't be replayed
+    lastUsedCounter: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Pending self-service deletion (see lib/accountDeletion.js); logging in and cancelling keeps the account
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date
+  },
+  // Set when the account has been purged; the document remains as an anonymized tombstone
+  deletedAt: Date,
+  // Suspended accounts cannot log in; suspending also ends every session
+  suspendedAt: Date,
+  suspendedReason: String,
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Public profile (see lib/profiles.js)
+  displayName: String,
+  // Lower-cased copies kept in sync by the hooks below; back prefix search in the user directory
+  usernameLower: String,
+  displayNameLower: String,
+  bio: String,
+  // Current avatar; renditions live in the blob store under avatars/<userId>/<id>/ (see lib/avatars.js)
+  avatar: {
+    id: String,
+    contentType: String,
+    updatedAt: Date
+  },
+  // Custom status text, hidden once expiresAt has passed
+  statusMessage: {
+    text: String,
+    expiresAt: Date,
+    updatedAt: Date
+  },
+  // Who may see presence details and the avatar, and whether read receipts are sent (see lib/privacy.js)
+  privacy: {
+    onlineStatus: {
+      type: String,
+      enum: ['everyone', 'contacts', 'nobody'],
+      default: 'everyone'
+    },
+    lastSeen: {
+      type: String,
+      enum: ['everyone', 'contacts', 'nobody'],
+      default: 'everyone'
+    },
+    profilePhoto: {
+      type: String,
+      enum: ['everyone', 'contacts', 'nobody'],
+      default: 'everyone'
+    },
+    readReceipts: {
+      type: Boolean,
+      default: true
+    }
+  },
   preferredLanguage: {
     type: String,
     default: 'en'
@@ -32,6 +141,40 @@ const userSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+// User directory: prefix search and cursor order (see controllers/directoryController.js)
+userSchema.index({ usernameLower: 1, _id: 1 });
+userSchema.index({ displayNameLower: 1 });
+userSchema.index({ preferredLanguage: 1, usernameLower: 1 });
+
+const lower = (value) => (typeof value === 'string' ? value.toLowerCase() : value);
+
+// Runs for save() and insertMany()
+userSchema.pre('validate', function syncSearchNames(next) {
+  if (this.isModified('username')) this.usernameLower = lower(this.username);
+  if (this.isModified('displayName')) this.displayNameLower = this.displayName ? lower(this.displayName) : undefined;
+  next();
+});
+
+// Keep the lower-cased copies in sync for update queries that set or unset the names
+userSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function syncSearchNamesOnUpdate(next) {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return next();
+
+  const $set = update.$set || {};
+  const $unset = update.$unset || {};
+  for (const field of ['username', 'displayName']) {
+    const value = $set[field] !== undefined ? $set[field] : update[field];
+    if (value !== undefined) {
+      update.$set = { ...update.$set, [`${field}Lower`]: lower(value) };
+    } else if ($unset[field] !== undefined) {
+      update.$unset = { ...update.$unset, [`${field}Lower`]: 1 };
+    }
+  }
+  this.setUpdate(update);
+  next();
+});
+
 const User = mongoose.models.User || mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../server/utils/env');
+
+/**
+ * Pluggable email delivery, mirroring smsSender.js.
+ * A sender is any object exposing `async send(to, subject, text)`; register a real provider
+ * (SMTP, SES, ...) with setEmailSender().
+ */
+
+class ConsoleEmailSender {
+  async send(to, subject, text) {
+    console.log(`📧 [email] to=${to} subject="${subject}": ${text}`);
+  }
+}
+
+class FileEmailSender {
+  constructor(filePath) {
+    this.filePath = path.resolve(process.cwd(), filePath);
+  }
+
+  async send(to, subject, text) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const line = JSON.stringify({ to, subject, text, sentAt: new Date().toISOString() }) + '\n';
+    await fs.promises.appendFile(this.filePath, line);
+  }
+}
+
+function createEmailSender(provider = config.EMAIL_PROVIDER) {
+  switch (provider) {
+    case 'file':
+      return new FileEmailSender(config.EMAIL_OUTBOX_FILE);
+    case 'console':
+    default:
+      return new ConsoleEmailSender();
+  }
+}
+
+let sender = null;
+
+function getEmailSender() {
+  if (!sender) sender = createEmailSender();
+  return sender;
+}
+
+function setEmailSender(custom) {
+  if (!custom || typeof custom.send !== 'function') {
+    throw new Error('Email sender must implement send(to, subject, text)');
+  }
+  sender = custom;
+}
+
+async function sendEmail(to, subject, text) {
+  return getEmailSender().send(to, subject, text);
+}
+
+module.exports = {
+  ConsoleEmailSender,
+  FileEmailSender,
+  createEmailSender,
+  getEmailSender,
+  setEmailSender,
+  sendEmail
+};
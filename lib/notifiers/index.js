@@ -0,0 +1,20 @@
+const { sendSms } = require('./smsSender');
+const { sendEmail } = require('./emailSender');
+
+/**
+ * Deliver a notification to a user over the requested channel.
+ * 'sms' goes to the user's mobile number, 'email' to their email address.
+ */
+async function notifyUser(user, { channel = 'sms', subject, text }) {
+  if (channel === 'email') {
+    if (!user.email) throw new Error('User has no email address');
+    return sendEmail(user.email, subject, text);
+  }
+  if (!user.mobileNumber) throw new Error('User has no mobile number');
+  return sendSms(user.mobileNumber, text);
+}
+
+module.exports = {
+  notifyUser,
+  CHANNELS: ['sms', 'email']
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../server/utils/env');
+
+/**
+ * Pluggable SMS delivery.
+ * A sender is any object exposing `async send(to, text)`. The built-in senders are meant for
+ * local development; production deployments register a real provider with setSmsSender().
+ */
+
+class ConsoleSmsSender {
+  async send(to, text) {
+    console.log(`📱 [sms] to=${to}: ${text}`);
+  }
+}
+
+// Appends each message as a JSON line so tests/devs can read codes back from disk
+class FileSmsSender {
+  constructor(filePath) {
+    this.filePath = path.resolve(process.cwd(), filePath);
+  }
+
+  async send(to, text) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const line = JSON.stringify({ to, text, sentAt: new Date().toISOString() }) + '\n';
+    await fs.promises.appendFile(this.filePath, line);
+  }
+}
+
+function createSmsSender(provider = config.SMS_PROVIDER) {
+  switch (provider) {
+    case 'file':
+      return new FileSmsSender(config.SMS_OUTBOX_FILE);
+    case 'console':
+    default:
+      return new ConsoleSmsSender();
+  }
+}
+
+let sender = null;
+
+function getSmsSender() {
+  if (!sender) sender = createSmsSender();
+  return sender;
+}
+
+function setSmsSender(custom) {
+  if (!custom || typeof custom.send !== 'function') {
+    throw new Error('SMS sender must implement send(to, text)');
+  }
+  sender = custom;
+}
+
+async function sendSms(to, text) {
+  return getSmsSender().send(to, text);
+}
+
+module.exports = {
+  ConsoleSmsSender,
+  FileSmsSender,
+  createSmsSender,
+  getSmsSender,
+  setSmsSender,
+  sendSms
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const OtpCode = require('./models/OtpCode');
+const { sendSms } = require('./notifiers/smsSender');
+const { config } = require('../server/utils/env');
+
+/**
+ * One-time codes proving ownership of a mobile number.
+ * Codes expire after OTP_TTL_MS, allow OTP_MAX_ATTEMPTS guesses and can only be
+ * re-sent once OTP_RESEND_COOLDOWN_MS has passed.
+ */
+
+const otpError = (message, code, extra = {}) => {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+};
+
+// Bind the hash to the number so a leaked hash can't be replayed for another account
+const hashCode = (mobileNumber, code) =>
+  crypto.createHash('sha256').update(`${mobileNumber}:${code}`).digest('hex');
+
+const generateCode = (length = config.OTP_LENGTH) =>
+  Array.from({ length }, () => crypto.randomInt(0, 10)).join('');
+
+/**
+ * Generate and send a new code, replacing any previous one.
+ * Throws OTP_COOLDOWN (with retryAfterMs) when called again too soon.
+ */
+async function requestOtp(mobileNumber) {
+  const existing = await OtpCode.findOne({ mobileNumber });
+  if (existing) {
+    const elapsed = Date.now() - new Date(existing.lastSentAt).getTime();
+    if (elapsed < config.OTP_RESEND_COOLDOWN_MS) {
+      throw otpError('Please wait before requesting another code', 'OTP_COOLDOWN', {
+        retryAfterMs: config.OTP_RESEND_COOLDOWN_MS - elapsed
+      });
+    }
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + config.OTP_TTL_MS);
+
+  await OtpCode.findOneAndUpdate(
+    { mobileNumber },
+    { codeHash: hashCode(mobileNumber, code), attempts: 0, expiresAt, lastSentAt: new Date() },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const minutes = Math.max(1, Math.round(config.OTP_TTL_MS / 60000));
+  await sendSms(mobileNumber, `Your Vaani verification code is ${code}. It expires in ${minutes} minute(s).`);
+
+  return { expiresAt, retryAfterMs: config.OTP_RESEND_COOLDOWN_MS };
+}
+
+/**
+ * Check a code. The code is consumed on success; wrong guesses count towards the attempt limit.
+ */
+async function verifyOtp(mobileNumber, code) {
+  const existing = await OtpCode.findOne({ mobileNumber });
+  if (!existing) throw otpError('No verification code was requested for this number', 'OTP_NOT_FOUND');
+
+  if (existing.expiresAt < new Date()) {
+    throw otpError('Verification code has expired', 'OTP_EXPIRED');
+  }
+
+  // Take an attempt before comparing, atomically, so concurrent guesses can't all slip under the limit
+  const otp = await OtpCode.findOneAndUpdate(
+    { _id: existing._id, attempts: { $lt: config.OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) {
+    throw otpError('Too many incorrect attempts, request a new code', 'OTP_TOO_MANY_ATTEMPTS');
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(mobileNumber, String(code || '')), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    throw otpError('Invalid verification code', 'OTP_INVALID', {
+      attemptsRemaining: Math.max(config.OTP_MAX_ATTEMPTS - otp.attempts, 0)
+    });
+  }
+
+  // Consumed once: a second request with the same code loses the race
+  const { deletedCount } = await OtpCode.deleteOne({ _id: otp._id, codeHash: otp.codeHash });
+  if (!deletedCount) throw otpError('No verification code was requested for this number', 'OTP_NOT_FOUND');
+  return true;
+}
+
+module.exports = {
+  requestOtp,
+  verifyOtp
+};
@@ -0,0 +1,77 @@
+// In-memory stand-in for the OtpCode collection: just the queries lib/otp.js makes
+jest.mock('./models/OtpCode', () => {
+  const docs = new Map();
+  const copy = (doc) => (doc ? { ...doc } : null);
+  return {
+    docs,
+    findOne: async ({ mobileNumber }) => copy(docs.get(mobileNumber)),
+    findOneAndUpdate: async (filter, update) => {
+      if (update.$inc) {
+        // verifyOtp taking an attempt: { _id, attempts: { $lt: max } }
+        const doc = [...docs.values()].find(d => d._id === filter._id);
+        if (!doc || doc.attempts >= filter.attempts.$lt) return null;
+        doc.attempts += update.$inc.attempts;
+        return copy(doc);
+      }
+      // requestOtp replacing the number's code
+      const next = { _id: `otp-${filter.mobileNumber}`, ...update };
+      docs.set(filter.mobileNumber, next);
+      return copy(next);
+    },
+    deleteOne: async ({ _id, codeHash }) => {
+      const entry = [...docs.entries()].find(([, d]) => d._id === _id && d.codeHash === codeHash);
+      if (!entry) return { deletedCount: 0 };
+      docs.delete(entry[0]);
+      return { deletedCount: 1 };
+    }
+  };
+});
+jest.mock('./notifiers/smsSender', () => ({ sendSms: jest.fn(async () => {}) }));
+
+const OtpCode = require('./models/OtpCode');
+const { sendSms } = require('./notifiers/smsSender');
+const { config } = require('../server/utils/env');
+const otp = require('./otp');
+
+const NUMBER = '+15550100';
+const sentCode = () => sendSms.mock.calls[sendSms.mock.calls.length - 1][1].match(/\d{4,}/)[0];
+const wrongCode = (code) => String((Number(code) + 1) % 10 ** code.length).padStart(code.length, '0');
+
+beforeEach(() => {
+  OtpCode.docs.clear();
+  sendSms.mockClear();
+});
+
+describe('verifyOtp', () => {
+  it('accepts the code that was sent, once', async () => {
+    await otp.requestOtp(NUMBER);
+    const code = sentCode();
+
+    await expect(otp.verifyOtp(NUMBER, code)).resolves.toBe(true);
+    await expect(otp.verifyOtp(NUMBER, code)).rejects.toMatchObject({ code: 'OTP_NOT_FOUND' });
+  });
+
+  it('counts wrong guesses and reports the attempts left', async () => {
+    await otp.requestOtp(NUMBER);
+    await expect(otp.verifyOtp(NUMBER, wrongCode(sentCode())))
+      .rejects.toMatchObject({ code: 'OTP_INVALID', attemptsRemaining: config.OTP_MAX_ATTEMPTS - 1 });
+  });
+
+  it('caps concurrent guesses at OTP_MAX_ATTEMPTS', async () => {
+    await otp.requestOtp(NUMBER);
+    const code = sentCode();
+    const guesses = Array.from({ length: config.OTP_MAX_ATTEMPTS + 5 }, () => otp.verifyOtp(NUMBER, wrongCode(code)));
+    const codes = (await Promise.allSettled(guesses)).map(result => result.reason.code);
+
+    expect(codes.filter(c => c === 'OTP_INVALID')).toHaveLength(config.OTP_MAX_ATTEMPTS);
+    expect(codes.filter(c => c === 'OTP_TOO_MANY_ATTEMPTS')).toHaveLength(5);
+    // The right code no longer helps once the attempts are used up
+    await expect(otp.verifyOtp(NUMBER, code)).rejects.toMatchObject({ code: 'OTP_TOO_MANY_ATTEMPTS' });
+  });
+
+  it('rejects an expired code', async () => {
+    await otp.requestOtp(NUMBER);
+    OtpCode.docs.get(NUMBER).expiresAt = new Date(Date.now() - 1000);
+    await expect(otp.verifyOtp(NUMBER, sentCode())).rejects.toMatchObject({ code: 'OTP_EXPIRED' });
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Opaque cursors for keyset pagination: a base64url-encoded JSON object naming the last item seen.
+ * Clients treat them as strings and pass them back unchanged.
+ */
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Returns null for a missing or malformed cursor
+const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return value && typeof value === 'object' ? value : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Clamp a ?limit= query value into [1, max]
+const parseLimit = (value, { defaultLimit = 20, max = 100 } = {}) => {
+  const parsed = parseInt(value || String(defaultLimit), 10) || defaultLimit;
+  return Math.min(Math.max(parsed, 1), max);
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parseLimit
+};
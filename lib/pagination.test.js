@@ -0,0 +1,41 @@
+const { encodeCursor, decodeCursor, parseLimit } = require('./pagination');
+
+describe('cursors', () => {
+  it('round-trips the last item seen', () => {
+    const value = { createdAt: '2024-01-01T00:00:00.000Z', id: '65a000000000000000000001' };
+    const cursor = encodeCursor(value);
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual(value);
+  });
+
+  it('returns null for missing or malformed cursors', () => {
+    expect(decodeCursor(undefined)).toBeNull();
+    expect(decodeCursor('')).toBeNull();
+    expect(decodeCursor(42)).toBeNull();
+    expect(decodeCursor('not a cursor')).toBeNull();
+  });
+
+  it('returns null for cursors that do not decode to an object', () => {
+    expect(decodeCursor(encodeCursor('text'))).toBeNull();
+    expect(decodeCursor(encodeCursor(7))).toBeNull();
+    expect(decodeCursor(encodeCursor(null))).toBeNull();
+  });
+});
+
+describe('parseLimit', () => {
+  it('falls back to the default', () => {
+    expect(parseLimit(undefined)).toBe(20);
+    expect(parseLimit('abc')).toBe(20);
+    expect(parseLimit(undefined, { defaultLimit: 50 })).toBe(50);
+  });
+
+  it('parses numeric query values', () => {
+    expect(parseLimit('35')).toBe(35);
+  });
+
+  it('clamps into [1, max]', () => {
+    expect(parseLimit('-5')).toBe(1);
+    expect(parseLimit('500')).toBe(100);
+    expect(parseLimit('500', { max: 50 })).toBe(50);
+  });
+});
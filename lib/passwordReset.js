@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const PasswordResetToken = require('./models/PasswordResetToken');
+const { hashToken } = require('./tokens');
+const { notifyUser } = require('./notifiers');
+const { config } = require('../server/utils/env');
+
+/**
+ * Single-use, time-limited password reset tokens delivered through lib/notifiers.
+ */
+
+const resetError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const buildMessage = (token) => {
+  const minutes = Math.max(1, Math.round(config.PASSWORD_RESET_TTL_MS / 60000));
+  const target = config.PASSWORD_RESET_URL
+    ? `${config.PASSWORD_RESET_URL}?token=${token}`
+    : `reset code: ${token}`;
+  return `Use this to reset your Vaani password (valid for ${minutes} minute(s)): ${target}. If you did not ask for this, ignore this message.`;
+};
+
+/**
+ * Issue a new reset token for a user and deliver it. Older unused tokens are invalidated.
+ */
+async function sendResetToken(user, { channel = 'sms', ip } = {}) {
+  await PasswordResetToken.updateMany(
+    { user: user._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const raw = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(raw),
+    channel,
+    expiresAt: new Date(Date.now() + config.PASSWORD_RESET_TTL_MS),
+    requestedByIp: ip
+  });
+
+  await notifyUser(user, {
+    channel,
+    subject: 'Reset your Vaani password',
+    text: buildMessage(raw)
+  });
+}
+
+/**
+ * Consume a reset token and return the id of the user it belongs to.
+ * The token is marked used atomically, so it can only ever succeed once.
+ */
+async function consumeResetToken(raw) {
+  if (!raw) throw resetError('Reset token is required', 'RESET_TOKEN_MISSING');
+
+  const token = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(raw), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!token) throw resetError('Reset token is invalid or has expired', 'RESET_TOKEN_INVALID');
+
+  return token.user;
+}
+
+module.exports = {
+  sendResetToken,
+  consumeResetToken
+};
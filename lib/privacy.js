@@ -0,0 +1,130 @@
+const User = require('./models/User');
+const { getContactIds, getBlockedIds } = require('./contacts');
+const { userRoom } = require('../server/utils/socketEmitter');
+
+/**
+ * Per-user privacy settings.
+ * - onlineStatus / lastSeen / profilePhoto: who may see them ('everyone' | 'contacts' | 'nobody')
+ * - readReceipts: whether senders are told when this user has seen their messages
+ * Users always see their own data; blocked users are treated as strangers.
+ */
+
+const VISIBILITY = ['everyone', 'contacts', 'nobody'];
+const VISIBILITY_SETTINGS = ['onlineStatus', 'lastSeen', 'profilePhoto'];
+
+const DEFAULT_PRIVACY = {
+  onlineStatus: 'everyone',
+  lastSeen: 'everyone',
+  profilePhoto: 'everyone',
+  readReceipts: true
+};
+
+const privacyError = (message, field) => {
+  const err = new Error(message);
+  err.code = 'PRIVACY_INVALID';
+  err.field = field;
+  return err;
+};
+
+/**
+ * A user's effective settings (stored values over the defaults)
+ */
+function getPrivacy(user) {
+  const stored = (user && user.privacy) || {};
+  const privacy = { ...DEFAULT_PRIVACY };
+  for (const key of Object.keys(DEFAULT_PRIVACY)) {
+    if (stored[key] !== undefined && stored[key] !== null) privacy[key] = stored[key];
+  }
+  return privacy;
+}
+
+async function loadPrivacy(userId) {
+  const user = await User.findById(userId).select('privacy').lean();
+  return getPrivacy(user);
+}
+
+const isVisible = (level, { isSelf = false, isContact = false } = {}) => {
+  if (isSelf) return true;
+  if (level === 'everyone') return true;
+  if (level === 'contacts') return isContact;
+  return false;
+};
+
+/**
+ * Viewer context for building many profiles in one request: the viewer's id and contact ids
+ */
+async function viewerContext(viewerId) {
+  const contactIds = viewerId ? await getContactIds(viewerId) : [];
+  return { viewerId: viewerId ? String(viewerId) : null, contactIds: new Set(contactIds) };
+}
+
+// How `viewer` (a viewerContext) relates to the owner of a profile
+const relationTo = (ownerId, viewer) => {
+  if (!viewer) return { isSelf: false, isContact: false };
+  const id = String(ownerId);
+  return { isSelf: viewer.viewerId === id, isContact: viewer.contactIds.has(id) };
+};
+
+/**
+ * Validate a settings update. Returns a $set object with dotted `privacy.*` paths.
+ */
+function parsePrivacyUpdate(body = {}) {
+  const $set = {};
+  for (const key of VISIBILITY_SETTINGS) {
+    if (body[key] === undefined) continue;
+    if (!VISIBILITY.includes(body[key])) {
+      throw privacyError(`${key} must be one of: ${VISIBILITY.join(', ')}`, key);
+    }
+    $set[`privacy.${key}`] = body[key];
+  }
+  if (body.readReceipts !== undefined) {
+    if (typeof body.readReceipts !== 'boolean') throw privacyError('readReceipts must be a boolean', 'readReceipts');
+    $set['privacy.readReceipts'] = body.readReceipts;
+  }
+  return $set;
+}
+
+async function sendsReadReceipts(userId) {
+  const privacy = await loadPrivacy(userId);
+  return privacy.readReceipts;
+}
+
+/**
+ * Emit 'userStatusChange' only to the users allowed to see this user's online status.
+ * With `hideFromOthers`, everyone else is told the user is offline (used when visibility narrows).
+ */
+async function emitPresence(userId, status, { hideFromOthers = false } = {}) {
+  const io = global.__io;
+  if (!io || !userId) return;
+
+  const id = String(userId);
+  const payload = { userId: id, status };
+  const [privacy, blockedIds] = await Promise.all([loadPrivacy(id), getBlockedIds(id)]);
+  const excluded = [...blockedIds].map(userRoom);
+
+  let audience = [];
+  if (privacy.onlineStatus === 'everyone') {
+    io.except([userRoom(id), ...excluded]).emit('userStatusChange', payload);
+    return;
+  }
+  if (privacy.onlineStatus === 'contacts') {
+    audience = (await getContactIds(id)).filter(contactId => !blockedIds.has(contactId)).map(userRoom);
+    if (audience.length) io.to(audience).emit('userStatusChange', payload);
+  }
+  if (hideFromOthers) {
+    io.except([userRoom(id), ...audience, ...excluded]).emit('userStatusChange', { userId: id, status: 'offline' });
+  }
+}
+
+module.exports = {
+  VISIBILITY,
+  DEFAULT_PRIVACY,
+  getPrivacy,
+  loadPrivacy,
+  isVisible,
+  viewerContext,
+  relationTo,
+  parsePrivacyUpdate,
+  sendsReadReceipts,
+  emitPresence
+};
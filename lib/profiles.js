@@ -0,0 +1,161 @@
+const { AVATAR_SIZES, avatarUrl } = require('./avatars');
+const { getContactIds } = require('./contacts');
+const { getPrivacy, isVisible, relationTo } = require('./privacy');
+const { emitToUser, emitToUsers } = require('../server/utils/socketEmitter');
+
+/**
+ * Public user profiles: the fields other users may see, validation for profile edits and the
+ * 'profileUpdated' push to contacts.
+ */
+
+const DISPLAY_NAME_MAX_LENGTH = 50;
+const BIO_MAX_LENGTH = 300;
+const STATUS_TEXT_MAX_LENGTH = 140;
+
+// Fields to select when a public profile will be built from the document
+const PUBLIC_PROFILE_FIELDS = 'username displayName bio avatar statusMessage status lastActive preferredLanguage role isBot privacy';
+
+const profileError = (message, field) => {
+  const err = new Error(message);
+  err.code = 'PROFILE_INVALID';
+  err.field = field;
+  return err;
+};
+
+// Status messages past their expiry are treated as cleared
+const activeStatusMessage = (statusMessage, now = new Date()) => {
+  if (!statusMessage || !statusMessage.text) return null;
+  if (statusMessage.expiresAt && new Date(statusMessage.expiresAt) <= now) return null;
+  return { text: statusMessage.text, expiresAt: statusMessage.expiresAt || null };
+};
+
+const avatarUrls = (userId, avatar) => {
+  if (!avatar || !avatar.id) return null;
+  const urls = {};
+  for (const size of Object.keys(AVATAR_SIZES)) urls[size] = avatarUrl(userId, avatar, size);
+  return urls;
+};
+
+/**
+ * Shape a user document (or lean object) into what a viewer may see. `relation` is
+ * { isSelf, isContact } from the viewer's point of view; without it the viewer is a stranger.
+ * Fields hidden by the owner's privacy settings come back as null.
+ */
+function toPublicProfile(user, relation) {
+  const id = String(user._id);
+  const privacy = getPrivacy(user);
+  return {
+    id,
+    _id: id,
+    username: user.username,
+    displayName: user.displayName || user.username,
+    bio: user.bio || '',
+    avatar: isVisible(privacy.profilePhoto, relation) ? avatarUrls(id, user.avatar) : null,
+    statusMessage: activeStatusMessage(user.statusMessage),
+    status: isVisible(privacy.onlineStatus, relation) ? user.status : null,
+    lastActive: isVisible(privacy.lastSeen, relation) ? user.lastActive : null,
+    preferredLanguage: user.preferredLanguage,
+    role: user.role,
+    isBot: Boolean(user.isBot)
+  };
+}
+
+/**
+ * toPublicProfile for a lib/privacy.js viewerContext
+ */
+const profileForViewer = (user, viewer) => toPublicProfile(user, relationTo(user._id, viewer));
+
+/**
+ * The signed-in user's own view: the full document (minus secrets) with public-profile formatting
+ */
+function toOwnProfile(user) {
+  const doc = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+  delete doc.password;
+  return { ...doc, ...toPublicProfile(user, { isSelf: true }), privacy: getPrivacy(user) };
+}
+
+const trimmedString = (value, field, maxLength) => {
+  if (typeof value !== 'string') throw profileError(`${field} must be a string`, field);
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) {
+    throw profileError(`${field} must be at most ${maxLength} characters`, field);
+  }
+  return trimmed;
+};
+
+/**
+ * Validate a PATCH /me body. Returns a Mongo update ({ $set, $unset }); throws PROFILE_INVALID.
+ * statusMessage accepts { text, expiresAt } or { text, expiresIn } (seconds); null clears it.
+ */
+function parseProfileUpdate(body = {}) {
+  const $set = {};
+  const $unset = {};
+
+  if (body.displayName !== undefined) {
+    const displayName = body.displayName === null ? '' : trimmedString(body.displayName, 'displayName', DISPLAY_NAME_MAX_LENGTH);
+    if (displayName) $set.displayName = displayName;
+    else $unset.displayName = 1;
+  }
+
+  if (body.bio !== undefined) {
+    const bio = body.bio === null ? '' : trimmedString(body.bio, 'bio', BIO_MAX_LENGTH);
+    if (bio) $set.bio = bio;
+    else $unset.bio = 1;
+  }
+
+  if (body.statusMessage !== undefined) {
+    const input = body.statusMessage;
+    const text = input === null ? '' : trimmedString(input.text === undefined ? '' : input.text, 'statusMessage.text', STATUS_TEXT_MAX_LENGTH);
+
+    if (!text) {
+      $unset.statusMessage = 1;
+    } else {
+      let expiresAt = null;
+      if (input.expiresAt) {
+        expiresAt = new Date(input.expiresAt);
+        if (isNaN(expiresAt.getTime())) throw profileError('statusMessage.expiresAt must be a date', 'statusMessage.expiresAt');
+      } else if (input.expiresIn !== undefined && input.expiresIn !== null) {
+        const seconds = Number(input.expiresIn);
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+          throw profileError('statusMessage.expiresIn must be a positive number of seconds', 'statusMessage.expiresIn');
+        }
+        expiresAt = new Date(Date.now() + seconds * 1000);
+      }
+      if (expiresAt && expiresAt <= new Date()) {
+        throw profileError('statusMessage expiry must be in the future', 'statusMessage.expiresAt');
+      }
+      $set.statusMessage = { text, expiresAt, updatedAt: new Date() };
+    }
+  }
+
+  const update = {};
+  if (Object.keys($set).length) update.$set = $set;
+  if (Object.keys($unset).length) update.$unset = $unset;
+  return update;
+}
+
+/**
+ * Push a user's new profile to their contacts (as contacts see it) and their own other devices.
+ * "Contacts" are the accepted contacts of lib/contacts.js (getContactIds), the same audience the
+ * `contacts` privacy level uses, so nobody receives fields they aren't allowed to see.
+ */
+async function broadcastProfileUpdate(user) {
+  const profile = toPublicProfile(user, { isContact: true });
+  try {
+    const contactIds = await getContactIds(user._id);
+    emitToUsers(contactIds, 'profileUpdated', profile);
+    emitToUser(user._id, 'profileUpdated', toPublicProfile(user, { isSelf: true }));
+  } catch (err) {
+    console.warn(`Failed to broadcast profile update for ${profile.id}:`, err.message);
+  }
+  return profile;
+}
+
+module.exports = {
+  PUBLIC_PROFILE_FIELDS,
+  toPublicProfile,
+  profileForViewer,
+  toOwnProfile,
+  parseProfileUpdate,
+  broadcastProfileUpdate
+};
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Chat = require('./models/Chat');
+const Room = require('./models/Room');
+const User = require('./models/User');
+const RoomReadCursor = require('./models/RoomReadCursor');
+const { getPrivacy, sendsReadReceipts } = require('./privacy');
+const { emitToConversation } = require('../server/utils/socketEmitter');
+
+/**
+ * Delivery and read state.
+ * Direct messages keep using Chat.status / deliveredAt / seenAt (there is only one recipient).
+ * Rooms track each member separately with a read cursor per room and per thread
+ * (models/RoomReadCursor.js): every message up to the cursor counts as delivered/read for that member.
+ */
+
+const receiptError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const RECEIPT_USER_FIELDS = 'username displayName avatar privacy';
+
+const memberOf = (userId) => ({ $or: [{ participants: userId }, { admins: userId }] });
+
+async function memberRoomIds(userId, roomIds = null) {
+  const filter = memberOf(userId);
+  if (roomIds) filter._id = { $in: roomIds.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+  const rooms = await Room.find(filter).select('_id').lean();
+  return rooms.map(room => String(room._id));
+}
+
+// Newest message per (room, thread)
+function latestPerConversation(messages) {
+  const latest = new Map();
+  for (const message of messages) {
+    if (!message.room) continue;
+    const threadId = message.threadRoot ? String(message.threadRoot) : null;
+    const key = `${message.room}:${threadId || ''}`;
+    const current = latest.get(key);
+    if (!current || current.at < message.timestamp) {
+      latest.set(key, { roomId: String(message.room), threadId, at: message.timestamp });
+    }
+  }
+  return [...latest.values()];
+}
+
+/**
+ * Move the user's cursors forward to cover the given room messages (ones in rooms the user doesn't
+ * belong to are ignored). kind is 'read' (which implies delivered) or 'delivered'.
+ * Returns the cursors that actually moved: [{ roomId, threadId, at }].
+ */
+async function advanceCursors(userId, messages, kind) {
+  const groups = latestPerConversation(messages);
+  if (groups.length === 0) return [];
+
+  const allowed = new Set(await memberRoomIds(userId, [...new Set(groups.map(g => g.roomId))]));
+  const field = kind === 'read' ? 'lastReadMessageAt' : 'lastDeliveredMessageAt';
+  const stampField = kind === 'read' ? 'readAt' : 'deliveredAt';
+  const now = new Date();
+  const moved = [];
+
+  for (const group of groups) {
+    if (!allowed.has(group.roomId)) continue;
+    const update = { $set: { [field]: group.at, [stampField]: now } };
+    if (kind === 'read') update.$max = { lastDeliveredMessageAt: group.at, deliveredAt: now };
+    try {
+      // Only ever forward: an existing cursor at or past `at` makes the filter miss, and the
+      // upsert then collides with it on the unique index
+      await RoomReadCursor.updateOne(
+        {
+          user: userId,
+          room: group.roomId,
+          thread: group.threadId,
+          $or: [{ [field]: { $lt: group.at } }, { [field]: null }]
+        },
+        update,
+        { upsert: true }
+      );
+      moved.push(group);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  return moved;
+}
+
+/**
+ * Tell the room a member has read up to a point (only when they send read receipts)
+ */
+async function notifyRoomReads(userId, moved) {
+  if (moved.length === 0 || !(await sendsReadReceipts(userId))) return;
+  for (const { roomId, threadId, at } of moved) {
+    emitToConversation({ room: roomId }, 'roomReadReceipt', {
+      roomId,
+      threadId,
+      userId: String(userId),
+      lastReadMessageAt: at,
+      readAt: new Date()
+    });
+  }
+}
+
+/**
+ * Mark a room (or one of its threads) read up to a message, or up to its newest message.
+ * Returns { roomId, threadId, lastReadMessageAt }. Throws ROOM_NOT_FOUND / MESSAGE_NOT_FOUND.
+ */
+async function markRoomRead({ userId, roomId, threadId = null, messageId = null }) {
+  const [member] = await memberRoomIds(userId, [roomId]);
+  if (!member) throw receiptError('Room not found', 'ROOM_NOT_FOUND');
+  if (threadId && !mongoose.Types.ObjectId.isValid(threadId)) throw receiptError('Message not found', 'MESSAGE_NOT_FOUND');
+
+  const scope = { room: String(roomId), threadRoot: threadId || null };
+  let upTo;
+  if (messageId) {
+    upTo = mongoose.Types.ObjectId.isValid(messageId)
+      ? await Chat.findOne({ ...scope, _id: messageId }).select('room threadRoot timestamp')
+      : null;
+    if (!upTo) throw receiptError('Message not found', 'MESSAGE_NOT_FOUND');
+  } else {
+    upTo = await Chat.findOne(scope).sort({ timestamp: -1 }).select('room threadRoot timestamp');
+  }
+  if (!upTo) return { roomId: String(roomId), threadId: threadId || null, lastReadMessageAt: null };
+
+  const moved = await advanceCursors(userId, [upTo], 'read');
+  await notifyRoomReads(userId, moved);
+
+  const cursor = await RoomReadCursor.findOne({ user: userId, room: String(roomId), thread: threadId || null }).lean();
+  return { roomId: String(roomId), threadId: threadId || null, lastReadMessageAt: cursor ? cursor.lastReadMessageAt : null };
+}
+
+const receiptUser = (user) => ({
+  _id: user._id,
+  username: user.username,
+  displayName: user.displayName || null
+});
+
+/**
+ * Who has received and read a message: { seenBy, deliveredTo, recipientCount }.
+ * Members with read receipts turned off never appear in seenBy.
+ */
+async function getReceipts(message) {
+  if (!message.room) {
+    const receiver = message.receiver && (await User.findById(message.receiver).select(RECEIPT_USER_FIELDS));
+    if (!receiver) return { seenBy: [], deliveredTo: [], recipientCount: 0 };
+    const delivered = ['delivered', 'seen'].includes(message.status);
+    const seen = message.status === 'seen' && getPrivacy(receiver).readReceipts;
+    return {
+      seenBy: seen ? [{ user: receiptUser(receiver), seenAt: message.seenAt || null }] : [],
+      deliveredTo: delivered ? [{ user: receiptUser(receiver), deliveredAt: message.deliveredAt || null }] : [],
+      recipientCount: 1
+    };
+  }
+
+  const room = mongoose.Types.ObjectId.isValid(message.room)
+    ? await Room.findById(message.room).select('participants admins').lean()
+    : null;
+  // Members are participants and admins, as in memberOf()
+  const members = room ? [...(room.participants || []), ...(room.admins || [])] : [];
+  const recipients = [...new Set(members.map(String))]
+    .filter(id => id !== String(message.sender))
+    .map(id => new mongoose.Types.ObjectId(id));
+
+  const cursors = await RoomReadCursor.find({
+    room: String(message.room),
+    thread: message.threadRoot || null,
+    user: { $in: recipients },
+    lastDeliveredMessageAt: { $gte: message.timestamp }
+  }).populate('user', RECEIPT_USER_FIELDS).lean();
+
+  const live = cursors.filter(cursor => cursor.user);
+  return {
+    seenBy: live
+      .filter(cursor => cursor.lastReadMessageAt && cursor.lastReadMessageAt >= message.timestamp && getPrivacy(cursor.user).readReceipts)
+      .map(cursor => ({ user: receiptUser(cursor.user), seenAt: cursor.readAt || null })),
+    deliveredTo: live.map(cursor => ({ user: receiptUser(cursor.user), deliveredAt: cursor.deliveredAt || null })),
+    recipientCount: recipients.length
+  };
+}
+
+/**
+ * Unread counts for the user's rooms ({ roomId: n }) and threads ({ rootId: { roomId, unreadCount,
+ * lastReplyAt } }), measured against the user's own cursors.
+ */
+async function unreadRoomCounts(userId) {
+  const me = new mongoose.Types.ObjectId(String(userId));
+  const roomIds = await memberRoomIds(me);
+  if (roomIds.length === 0) return { unreadByRoom: {}, unreadByThread: {} };
+
+  const cursors = await RoomReadCursor.find({ user: me, room: { $in: roomIds } }).lean();
+  const roomCursors = new Map();
+  const threadCursors = new Map();
+  for (const cursor of cursors) {
+    if (!cursor.lastReadMessageAt) continue;
+    if (cursor.thread) threadCursors.set(String(cursor.thread), cursor.lastReadMessageAt);
+    else roomCursors.set(cursor.room, cursor.lastReadMessageAt);
+  }
+
+  // Before cursors existed a room message's shared status was the only read marker, so it still
+  // decides for rooms/threads the user has no cursor for yet
+  const legacyUnread = { status: { $in: ['sent', 'delivered'] } };
+  const base = { sender: { $ne: me }, deletedAt: null, hiddenFor: { $ne: me } };
+
+  const roomConditions = roomIds.map(roomId => (roomCursors.has(roomId)
+    ? { room: roomId, timestamp: { $gt: roomCursors.get(roomId) } }
+    : { room: roomId, ...legacyUnread }));
+
+  const threadIds = [...threadCursors.keys()].map(id => new mongoose.Types.ObjectId(id));
+  const threadConditions = [
+    ...threadIds.map(id => ({ threadRoot: id, timestamp: { $gt: threadCursors.get(String(id)) } })),
+    { threadRoot: { $ne: null, $nin: threadIds }, ...legacyUnread }
+  ];
+
+  const [roomCounts, threadCounts] = await Promise.all([
+    Chat.aggregate([
+      { $match: { ...base, threadRoot: null, $or: roomConditions } },
+      { $group: { _id: '$room', unreadCount: { $sum: 1 } } }
+    ]),
+    Chat.aggregate([
+      { $match: { ...base, room: { $in: roomIds }, $or: threadConditions } },
+      {
+        $group: {
+          _id: '$threadRoot',
+          room: { $first: '$room' },
+          unreadCount: { $sum: 1 },
+          lastReplyAt: { $max: '$timestamp' }
+        }
+      }
+    ])
+  ]);
+
+  const unreadByRoom = {};
+  roomCounts.forEach(item => {
+    unreadByRoom[item._id] = item.unreadCount;
+  });
+
+  const unreadByThread = {};
+  threadCounts.forEach(item => {
+    unreadByThread[item._id.toString()] = {
+      roomId: item.room,
+      unreadCount: item.unreadCount,
+      lastReplyAt: item.lastReplyAt
+    };
+  });
+
+  return { unreadByRoom, unreadByThread };
+}
+
+module.exports = {
+  advanceCursors,
+  notifyRoomReads,
+  markRoomRead,
+  getReceipts,
+  unreadRoomCounts
+};
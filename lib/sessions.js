@@ -0,0 +1,122 @@
+const Session = require('./models/Session');
+const tokens = require('./tokens');
+const { disconnectSession } = require('../server/utils/socketEmitter');
+
+/**
+ * Per-device session management built on top of lib/tokens.js.
+ * A session's _id is the refresh-token family and the `sid` claim of its access tokens.
+ */
+
+// Avoid a DB write on every request just to bump lastSeenAt
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Best-effort "Chrome on Windows" style label when the client doesn't name the device
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = [
+    ['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']
+  ].find(([marker]) => userAgent.includes(marker));
+  const os = [
+    ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']
+  ].find(([marker]) => userAgent.includes(marker));
+  if (!browser && !os) return userAgent.slice(0, 64);
+  return [browser && browser[1], os && `on ${os[1]}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Create a session for a freshly authenticated user and issue its first token pair
+ */
+async function startSession(user, { ip, userAgent, deviceName } = {}) {
+  const session = await Session.create({
+    user: user._id,
+    deviceName: deviceName || describeDevice(userAgent),
+    ip,
+    userAgent,
+    lastSeenAt: new Date()
+  });
+
+  const issued = await tokens.issueTokens(user, String(session._id), { ip, userAgent });
+  return { ...issued, sessionId: String(session._id) };
+}
+
+/**
+ * Rotate a refresh token and record activity on its session
+ */
+async function refreshSession(refreshToken, { ip, userAgent } = {}) {
+  try {
+    const result = await tokens.rotateRefreshToken(refreshToken, { ip, userAgent });
+    await Session.updateOne(
+      { _id: result.family, revokedAt: null },
+      { lastSeenAt: new Date(), ip, userAgent }
+    );
+    return { ...result, sessionId: result.family };
+  } catch (err) {
+    if (err.code === 'TOKEN_REUSED') {
+      const owner = await tokens.findFamily(refreshToken);
+      if (owner) await endSession(owner.family, 'reuse_detected');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Whether a session id (from an access token's `sid`) is still live.
+ * Also bumps lastSeenAt at most once per TOUCH_INTERVAL_MS.
+ */
+async function isSessionActive(sessionId, { ip } = {}) {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId).select('revokedAt lastSeenAt').lean();
+  if (!session || session.revokedAt) return false;
+
+  if (!session.lastSeenAt || Date.now() - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL_MS) {
+    const update = { lastSeenAt: new Date() };
+    if (ip) update.ip = ip;
+    Session.updateOne({ _id: sessionId }, update).catch(err => {
+      console.warn('Failed to update session lastSeenAt:', err.message);
+    });
+  }
+  return true;
+}
+
+async function listSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null })
+    .select('deviceName ip userAgent lastSeenAt createdAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+}
+
+/**
+ * Revoke one session: its refresh tokens stop working and its sockets are disconnected
+ */
+async function endSession(sessionId, reason = 'logout') {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await tokens.revokeFamily(String(sessionId), reason);
+  disconnectSession(sessionId, reason);
+}
+
+/**
+ * Revoke every session of a user, optionally keeping one (e.g. the caller's current session)
+ */
+async function endAllSessions(userId, { except = null, reason = 'logout_all' } = {}) {
+  const query = { user: userId, revokedAt: null };
+  if (except) query._id = { $ne: except };
+
+  const sessions = await Session.find(query).select('_id').lean();
+  for (const session of sessions) {
+    await endSession(session._id, reason);
+  }
+  return sessions.length;
+}
+
+module.exports = {
+  describeDevice,
+  startSession,
+  refreshSession,
+  isSessionActive,
+  listSessions,
+  endSession,
+  endAllSessions
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../server/utils/env');
+
+/**
+ * Pluggable blob storage for uploaded files (avatars, attachments, ...).
+ * A store is any object exposing:
+ *   async put(key, buffer, { contentType })
+ *   async createReadStream(key)   -> Readable (throws code BLOB_NOT_FOUND)
+ *   async remove(key)
+ * Keys are slash-separated paths such as "avatars/<userId>/<id>/thumb.webp". Content types and
+ * other metadata live on the owning document, not in the store. Register a cloud-backed store
+ * (S3, GCS, ...) with setBlobStore().
+ */
+
+const blobError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+class LocalDiskBlobStore {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(process.cwd(), rootDir);
+  }
+
+  // Resolve a key inside rootDir, refusing anything that would escape it
+  resolve(key) {
+    const fullPath = path.resolve(this.rootDir, String(key));
+    if (!fullPath.startsWith(this.rootDir + path.sep)) {
+      throw blobError('Invalid storage key', 'BLOB_INVALID_KEY');
+    }
+    return fullPath;
+  }
+
+  async put(key, buffer) {
+    const fullPath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, buffer);
+    return { key };
+  }
+
+  async createReadStream(key) {
+    const fullPath = this.resolve(key);
+    try {
+      await fs.promises.access(fullPath, fs.constants.R_OK);
+    } catch (err) {
+      throw blobError('File not found', 'BLOB_NOT_FOUND');
+    }
+    return fs.createReadStream(fullPath);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+function createBlobStore(provider = config.STORAGE_PROVIDER) {
+  switch (provider) {
+    case 'local':
+    default:
+      return new LocalDiskBlobStore(config.UPLOAD_DIR);
+  }
+}
+
+let store = null;
+
+function getBlobStore() {
+  if (!store) store = createBlobStore();
+  return store;
+}
+
+function setBlobStore(custom) {
+  if (!custom || ['put', 'createReadStream', 'remove'].some(fn => typeof custom[fn] !== 'function')) {
+    throw new Error('Blob store must implement put(key, buffer, options), createReadStream(key) and remove(key)');
+  }
+  store = custom;
+}
+
+module.exports = {
+  LocalDiskBlobStore,
+  createBlobStore,
+  getBlobStore,
+  setBlobStore
+};
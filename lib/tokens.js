@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('./models/RefreshToken');
+const { config } = require('../server/utils/env');
+
+/**
+ * Access/refresh token helpers.
+ * - Access tokens are short-lived JWTs verified statelessly by REST routes and the socket handshake
+ * - Refresh tokens are opaque random strings stored hashed in MongoDB and rotated on every use
+ * - Presenting an already-rotated refresh token revokes its whole family (reuse detection)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getSecret = () => process.env.JWT_SECRET || config.JWT_SECRET;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const tokenError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * Sign a short-lived access token. `sid` ties the token to its refresh-token family.
+ */
+function signAccessToken(user, family) {
+  return jwt.sign(
+    {
+      userId: String(user._id),
+      role: user.role,
+      username: user.username,
+      sid: family,
+      type: 'access'
+    },
+    getSecret(),
+    { expiresIn: config.ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * Verify an access token and return its payload.
+ * Throws jsonwebtoken errors (JsonWebTokenError / TokenExpiredError) for bad tokens.
+ */
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, getSecret());
+  if (decoded.type !== 'access') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+}
+
+/**
+ * Short-lived token proving the password step of a two-factor login succeeded.
+ * It is not an access token: verifyAccessToken rejects it.
+ */
+function signChallengeToken(user) {
+  return jwt.sign(
+    { userId: String(user._id), type: '2fa_challenge' },
+    getSecret(),
+    { expiresIn: config.TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+  );
+}
+
+function verifyChallengeToken(token) {
+  const decoded = jwt.verify(token, getSecret());
+  if (decoded.type !== '2fa_challenge') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+}
+
+async function createRefreshToken(user, family, { ip, userAgent } = {}) {
+  const raw = crypto.randomBytes(48).toString('hex');
+  const doc = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(raw),
+    family,
+    expiresAt: new Date(Date.now() + config.REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    createdByIp: ip,
+    userAgent
+  });
+  return { raw, doc };
+}
+
+const buildTokenResponse = (user, family, refreshToken) => {
+  const token = signAccessToken(user, family);
+  const { exp } = jwt.decode(token);
+  return {
+    token,
+    refreshToken,
+    expiresIn: exp - Math.floor(Date.now() / 1000)
+  };
+};
+
+/**
+ * Start a new token family for a fresh login (the family is the session id, see lib/sessions.js).
+ */
+async function issueTokens(user, family, meta = {}) {
+  const { raw } = await createRefreshToken(user, family, meta);
+  return buildTokenResponse(user, family, raw);
+}
+
+/**
+ * Revoke every refresh token in a family (used on reuse detection and logout).
+ */
+async function revokeFamily(family, reason = 'revoked') {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+/**
+ * Revoke every refresh token a user holds.
+ */
+async function revokeAllForUser(userId, reason = 'revoked') {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * The presented token is consumed atomically so concurrent refreshes cannot both succeed.
+ */
+async function rotateRefreshToken(raw, meta = {}) {
+  if (!raw) throw tokenError('Refresh token is required', 'TOKEN_MISSING');
+
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(raw) }).populate('user');
+  if (!existing) throw tokenError('Invalid refresh token', 'TOKEN_INVALID');
+
+  if (existing.revokedAt) {
+    // A rotated token coming back means it leaked: kill the whole family
+    if (existing.revokedReason === 'rotated') {
+      console.warn(`🚨 Refresh token reuse detected for user=${existing.user?._id}, family=${existing.family}`);
+      await revokeFamily(existing.family, 'reuse_detected');
+      throw tokenError('Refresh token reuse detected', 'TOKEN_REUSED');
+    }
+    throw tokenError('Refresh token has been revoked', 'TOKEN_REVOKED');
+  }
+
+  if (existing.expiresAt < new Date()) throw tokenError('Refresh token has expired', 'TOKEN_EXPIRED');
+  if (!existing.user) throw tokenError('Invalid refresh token', 'TOKEN_INVALID');
+
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: true }
+  );
+  if (!claimed) {
+    // Lost the race against another refresh with the same token: treat as reuse
+    await revokeFamily(existing.family, 'reuse_detected');
+    throw tokenError('Refresh token reuse detected', 'TOKEN_REUSED');
+  }
+
+  const { raw: nextRaw, doc: next } = await createRefreshToken(existing.user, existing.family, meta);
+  claimed.replacedBy = next._id;
+  await claimed.save();
+
+  return {
+    user: existing.user,
+    family: existing.family,
+    ...buildTokenResponse(existing.user, existing.family, nextRaw)
+  };
+}
+
+/**
+ * Look up the family of a raw refresh token (without validating it).
+ */
+async function findFamily(raw) {
+  if (!raw) return null;
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(raw) }).select('family user');
+  return existing ? { family: existing.family, userId: String(existing.user) } : null;
+}
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  findFamily,
+  hashToken
+};
@@ -0,0 +1,121 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// In-memory stand-in for the RefreshToken collection: just the queries lib/tokens.js makes
+jest.mock('./models/RefreshToken', () => {
+  const docs = [];
+  const users = new Map();
+  let nextId = 1;
+
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+    (value === null ? doc[key] == null : String(doc[key]) === String(value)));
+  const query = (result) => ({
+    populate: () => query(result && { ...result, user: users.get(String(result.user)) || null }),
+    select: () => query(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  });
+  const withSave = (doc) => Object.assign(doc, { save: async () => doc });
+
+  return {
+    docs,
+    users,
+    create: async (fields) => {
+      const doc = withSave({ _id: nextId++, revokedAt: null, ...fields });
+      docs.push(doc);
+      return doc;
+    },
+    findOne: (filter) => query(docs.find(doc => matches(doc, filter)) || null),
+    findOneAndUpdate: async (filter, update) => {
+      const doc = docs.find(d => matches(d, filter));
+      return doc ? Object.assign(doc, update) : null;
+    },
+    updateMany: async (filter, update) => {
+      docs.filter(doc => matches(doc, filter)).forEach(doc => Object.assign(doc, update));
+    }
+  };
+});
+
+const RefreshToken = require('./models/RefreshToken');
+const tokens = require('./tokens');
+
+const user = { _id: 'user-1', username: 'asha', role: 'user' };
+
+beforeEach(() => {
+  RefreshToken.docs.length = 0;
+  RefreshToken.users.set(user._id, user);
+});
+
+const codeOf = (promise) => promise.then(() => null, err => err.code);
+
+describe('access tokens', () => {
+  it('carries the user and the session family', () => {
+    const token = tokens.signAccessToken(user, 'family-1');
+    const decoded = tokens.verifyAccessToken(token);
+    expect(decoded).toMatchObject({ userId: 'user-1', username: 'asha', sid: 'family-1', type: 'access' });
+  });
+
+  it('rejects a 2FA challenge token used as an access token', () => {
+    expect(() => tokens.verifyAccessToken(tokens.signChallengeToken(user))).toThrow('invalid token type');
+  });
+});
+
+describe('refresh token rotation', () => {
+  it('stores only the hash of the refresh token', async () => {
+    const { refreshToken } = await tokens.issueTokens(user, 'family-1');
+    expect(RefreshToken.docs).toHaveLength(1);
+    expect(RefreshToken.docs[0].tokenHash).toBe(tokens.hashToken(refreshToken));
+    expect(RefreshToken.docs[0].tokenHash).not.toBe(refreshToken);
+  });
+
+  it('exchanges a refresh token for a new pair in the same family', async () => {
+    const first = await tokens.issueTokens(user, 'family-1');
+    const second = await tokens.rotateRefreshToken(first.refreshToken);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(second.family).toBe('family-1');
+    expect(tokens.verifyAccessToken(second.token).sid).toBe('family-1');
+    expect(RefreshToken.docs[0]).toMatchObject({ revokedReason: 'rotated', replacedBy: RefreshToken.docs[1]._id });
+
+    const third = await tokens.rotateRefreshToken(second.refreshToken);
+    expect(third.family).toBe('family-1');
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const first = await tokens.issueTokens(user, 'family-1');
+    const second = await tokens.rotateRefreshToken(first.refreshToken);
+
+    expect(await codeOf(tokens.rotateRefreshToken(first.refreshToken))).toBe('TOKEN_REUSED');
+    // The legitimate holder's current token died with the family
+    expect(await codeOf(tokens.rotateRefreshToken(second.refreshToken))).toBe('TOKEN_REVOKED');
+    expect(RefreshToken.docs.every(doc => doc.revokedAt)).toBe(true);
+  });
+
+  it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+    const { refreshToken } = await tokens.issueTokens(user, 'family-1');
+    const results = await Promise.allSettled([
+      tokens.rotateRefreshToken(refreshToken),
+      tokens.rotateRefreshToken(refreshToken)
+    ]);
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(r => r.status === 'rejected').reason.code).toBe('TOKEN_REUSED');
+  });
+
+  it('does not touch other families on reuse', async () => {
+    const mine = await tokens.issueTokens(user, 'family-1');
+    const otherDevice = await tokens.issueTokens(user, 'family-2');
+    await tokens.rotateRefreshToken(mine.refreshToken);
+    await codeOf(tokens.rotateRefreshToken(mine.refreshToken));
+
+    const rotated = await tokens.rotateRefreshToken(otherDevice.refreshToken);
+    expect(rotated.family).toBe('family-2');
+  });
+
+  it('rejects missing, unknown and expired tokens', async () => {
+    expect(await codeOf(tokens.rotateRefreshToken(''))).toBe('TOKEN_MISSING');
+    expect(await codeOf(tokens.rotateRefreshToken('not-a-token'))).toBe('TOKEN_INVALID');
+
+    const { refreshToken } = await tokens.issueTokens(user, 'family-1');
+    RefreshToken.docs[0].expiresAt = new Date(Date.now() - 1000);
+    expect(await codeOf(tokens.rotateRefreshToken(refreshToken))).toBe('TOKEN_EXPIRED');
+  });
+});
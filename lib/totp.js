@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+/**
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 30s step, 6 digits) — the variant every
+ * authenticator app supports. Secrets are exchanged base32-encoded (RFC 4648, no padding).
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+// HOTP (RFC 4226) for a given counter
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS);
+  return String(code).padStart(DIGITS, '0');
+}
+
+const counterAt = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+function generateTotp(secret, timeMs = Date.now()) {
+  return hotp(secret, counterAt(timeMs));
+}
+
+/**
+ * Check a code against the current step ± `window` steps to tolerate clock drift.
+ * Returns the matching counter (so callers can reject replays) or null.
+ */
+function verifyTotp(secret, code, { window = 1, timeMs = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const current = counterAt(timeMs);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI understood by authenticator apps (usually rendered as a QR code)
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -0,0 +1,84 @@
+const totp = require('./totp');
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890", truncated to our 6 digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037']
+];
+
+describe('base32', () => {
+  it('encodes the RFC seed as authenticator apps expect', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('round-trips arbitrary bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 255, 17]);
+    expect(totp.base32Decode(totp.base32Encode(bytes)).equals(bytes)).toBe(true);
+  });
+
+  it('ignores case, padding and whitespace when decoding', () => {
+    expect(totp.base32Decode('gezd gnbv====').equals(totp.base32Decode('GEZDGNBV'))).toBe(true);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => totp.base32Decode('GEZ1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateTotp', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 vector at t=%i', (seconds, code) => {
+    expect(totp.generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+
+  it('generates 20-byte secrets', () => {
+    expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('verifyTotp', () => {
+  const timeMs = 1111111109 * 1000;
+  const counter = Math.floor(1111111109 / 30);
+
+  it('returns the matching counter', () => {
+    expect(totp.verifyTotp(RFC_SECRET, '081804', { timeMs })).toBe(counter);
+  });
+
+  it('tolerates one step of clock drift by default', () => {
+    const previous = totp.generateTotp(RFC_SECRET, timeMs - 30000);
+    const next = totp.generateTotp(RFC_SECRET, timeMs + 30000);
+    expect(totp.verifyTotp(RFC_SECRET, previous, { timeMs })).toBe(counter - 1);
+    expect(totp.verifyTotp(RFC_SECRET, next, { timeMs })).toBe(counter + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    const old = totp.generateTotp(RFC_SECRET, timeMs - 90000);
+    expect(totp.verifyTotp(RFC_SECRET, old, { timeMs })).toBeNull();
+  });
+
+  it('accepts spaces but rejects malformed codes', () => {
+    expect(totp.verifyTotp(RFC_SECRET, '081 804', { timeMs })).toBe(counter);
+    expect(totp.verifyTotp(RFC_SECRET, '81804', { timeMs })).toBeNull();
+    expect(totp.verifyTotp(RFC_SECRET, 'abcdef', { timeMs })).toBeNull();
+    expect(totp.verifyTotp(RFC_SECRET, undefined, { timeMs })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('describes the secret for authenticator apps', () => {
+    const uri = new URL(totp.buildOtpauthUri({ secret: RFC_SECRET, accountName: '+15550100', issuer: 'Vaani' }));
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Vaani:+15550100');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'Vaani',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const User = require('./models/User');
+const totp = require('./totp');
+const { hashToken } = require('./tokens');
+const { config } = require('../server/utils/env');
+
+/**
+ * TOTP two-factor enrollment and verification on top of lib/totp.js.
+ * Enrollment is two-step (setup -> confirm with a code) so a mistyped secret can't lock a user out.
+ */
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedCounter';
+
+const twoFactorError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+// Recovery codes look like "a1b2c3-d4e5f6"
+const generateBackupCodes = () =>
+  Array.from({ length: config.TWO_FACTOR_BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(6).toString('hex');
+    return `${hex.slice(0, 6)}-${hex.slice(6)}`;
+  });
+
+const normalizeBackupCode = (code) => String(code || '').trim().toLowerCase();
+
+/**
+ * Start enrollment: store a pending secret and return it with its otpauth URI
+ */
+async function startEnrollment(userId) {
+  const user = await loadWithSecrets(userId);
+  if (!user) throw twoFactorError('User not found', 'USER_NOT_FOUND');
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = totp.generateSecret();
+  user.set('twoFactor.pendingSecret', secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret,
+      accountName: user.username,
+      issuer: config.TWO_FACTOR_ISSUER
+    })
+  };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app; returns the one-time view of the backup codes
+ */
+async function confirmEnrollment(userId, code) {
+  const user = await loadWithSecrets(userId);
+  if (!user) throw twoFactorError('User not found', 'USER_NOT_FOUND');
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+  const pending = user.twoFactor && user.twoFactor.pendingSecret;
+  if (!pending) throw twoFactorError('Start two-factor setup first', 'TWO_FACTOR_NOT_STARTED');
+
+  const counter = totp.verifyTotp(pending, code);
+  if (counter === null) throw twoFactorError('Invalid authentication code', 'TWO_FACTOR_INVALID_CODE');
+
+  const backupCodes = generateBackupCodes();
+  user.set('twoFactor', {
+    enabled: true,
+    secret: pending,
+    pendingSecret: undefined,
+    backupCodes: backupCodes.map(c => hashToken(c)),
+    lastUsedCounter: counter,
+    enabledAt: new Date()
+  });
+  await user.save();
+
+  return backupCodes;
+}
+
+/**
+ * Check a TOTP code or a backup code for a user with 2FA enabled.
+ * Accepted TOTP steps can't be replayed and backup codes are consumed.
+ */
+async function verifySecondFactor(userId, { code, backupCode }) {
+  const user = await loadWithSecrets(userId);
+  if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (backupCode) {
+    const hash = hashToken(normalizeBackupCode(backupCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    if (result.modifiedCount === 0) throw twoFactorError('Invalid backup code', 'TWO_FACTOR_INVALID_CODE');
+    return { method: 'backup_code', backupCodesRemaining: user.twoFactor.backupCodes.length - 1 };
+  }
+
+  const counter = totp.verifyTotp(user.twoFactor.secret, code);
+  const lastUsed = user.twoFactor.lastUsedCounter;
+  if (counter === null || (typeof lastUsed === 'number' && counter <= lastUsed)) {
+    throw twoFactorError('Invalid authentication code', 'TWO_FACTOR_INVALID_CODE');
+  }
+
+  // Conditional update so two concurrent logins can't both spend the same step
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ 'twoFactor.lastUsedCounter': { $lt: counter } }, { 'twoFactor.lastUsedCounter': null }] },
+    { 'twoFactor.lastUsedCounter': counter }
+  );
+  if (result.modifiedCount === 0) throw twoFactorError('Invalid authentication code', 'TWO_FACTOR_INVALID_CODE');
+  return { method: 'totp' };
+}
+
+async function disable(userId) {
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.enabled': false }, $unset: {
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.backupCodes': 1,
+      'twoFactor.lastUsedCounter': 1,
+      'twoFactor.enabledAt': 1
+    } }
+  );
+}
+
+/**
+ * Replace every backup code; returns the new codes
+ */
+async function regenerateBackupCodes(userId) {
+  const backupCodes = generateBackupCodes();
+  await User.updateOne(
+    { _id: userId, 'twoFactor.enabled': true },
+    { 'twoFactor.backupCodes': backupCodes.map(c => hashToken(c)) }
+  );
+  return backupCodes;
+}
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disable,
+  regenerateBackupCodes
+};
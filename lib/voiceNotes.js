@@ -0,0 +1,161 @@
+const Chat = require('./models/Chat');
+const Attachment = require('./models/Attachment');
+const { openAttachment } = require('./attachments');
+const { conversationLanguages } = require('./messages');
+const { config } = require('../server/utils/env');
+const { recognizeSpeech } = require('../server/utils/speechTranslator');
+const { translateToLanguages } = require('../server/utils/messageTranslator');
+const { emitToConversation } = require('../server/utils/socketEmitter');
+
+/**
+ * Voice notes: recorded clips sent as a message with a single audio attachment. The transcript is
+ * produced in the background in the sender's language, translated for the conversation, stored
+ * as the message text and pushed to clients with a voiceNoteTranscribed event.
+ */
+
+const VOICE_NOTE_MIME_TYPES = ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/webm', 'audio/ogg', 'audio/mpeg', 'audio/mp4'];
+
+// The speech SDK only takes WAV; other formats are stored and played back but not transcribed
+const TRANSCRIBABLE_MIME_TYPES = ['audio/wav', 'audio/x-wav', 'audio/wave'];
+
+const voiceNoteError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * Duration of a PCM WAV clip from its header, or null if it isn't one we can read
+ */
+function wavDurationMs(buffer) {
+  if (!buffer || buffer.length < 44 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkId === 'fmt ' && offset + 20 <= buffer.length) byteRate = buffer.readUInt32LE(offset + 16);
+    if (chunkId === 'data') {
+      if (!byteRate) return null;
+      const dataSize = Math.min(chunkSize, buffer.length - offset - 8);
+      return Math.round((dataSize / byteRate) * 1000);
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+/**
+ * Work out the clip length: read from WAV headers, otherwise the client-reported durationMs.
+ * Throws VOICE_NOTE_INVALID when it is missing or over config.VOICE_NOTE_MAX_DURATION_MS.
+ */
+function resolveDurationMs(file, reportedMs) {
+  const durationMs = wavDurationMs(file.buffer) ?? (reportedMs !== undefined && reportedMs !== '' ? Number(reportedMs) : null);
+  if (durationMs === null || !Number.isFinite(durationMs) || durationMs <= 0) {
+    throw voiceNoteError('durationMs is required for this audio format', 'VOICE_NOTE_INVALID');
+  }
+  if (durationMs > config.VOICE_NOTE_MAX_DURATION_MS) {
+    throw voiceNoteError(`Voice notes can be at most ${Math.floor(config.VOICE_NOTE_MAX_DURATION_MS / 1000)} seconds long`, 'VOICE_NOTE_INVALID');
+  }
+  return Math.round(durationMs);
+}
+
+async function readAudio(attachmentId) {
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment) return null;
+  const { stream } = await openAttachment(attachment);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+const voiceNoteTranscribedPayload = (message) => ({
+  messageId: message._id,
+  roomId: message.room || null,
+  senderId: message.sender,
+  receiverId: message.receiver || null,
+  status: message.voiceNote.transcriptStatus,
+  transcript: message.originalContent || '',
+  originalLanguage: message.originalLanguage,
+  translations: Object.fromEntries(message.translations || []),
+  transcribedAt: message.voiceNote.transcribedAt || null
+});
+
+/**
+ * Transcribe and translate one voice note, then notify the conversation. `audioBuffer` saves a
+ * trip to the blob store when the upload is still in memory.
+ */
+async function transcribeVoiceNote(messageId, audioBuffer = null) {
+  const message = await Chat.findById(messageId);
+  if (!message || message.deletedAt || !message.voiceNote || message.voiceNote.transcriptStatus !== 'pending') return null;
+
+  const audio = message.attachments[0];
+  const $set = { 'voiceNote.transcribedAt': new Date() };
+
+  if (!audio || !TRANSCRIBABLE_MIME_TYPES.includes(audio.contentType) || !config.AZURE_SPEECH_KEY) {
+    $set['voiceNote.transcriptStatus'] = 'skipped';
+  } else {
+    const buffer = audioBuffer || (await readAudio(audio.attachment));
+    // recognizeSpeech resolves to '' on failure as well as on silence
+    const transcript = buffer ? (await recognizeSpeech(buffer, message.originalLanguage)).trim() : '';
+    if (!transcript) {
+      $set['voiceNote.transcriptStatus'] = 'failed';
+    } else {
+      $set['voiceNote.transcriptStatus'] = 'completed';
+      $set.originalContent = transcript;
+      $set.content = transcript;
+      $set.translations = await translateToLanguages(transcript, message.originalLanguage, await conversationLanguages(message));
+    }
+  }
+
+  // The note may have been deleted while we were busy
+  const updated = await Chat.findOneAndUpdate(
+    { _id: message._id, deletedAt: null, 'voiceNote.transcriptStatus': 'pending' },
+    { $set },
+    { new: true }
+  );
+  if (updated) emitToConversation(updated, 'voiceNoteTranscribed', voiceNoteTranscribedPayload(updated));
+  return updated;
+}
+
+// Small in-process queue so a burst of uploads doesn't hit the speech service all at once
+const queue = [];
+let running = 0;
+
+function drainQueue() {
+  while (running < config.VOICE_NOTE_TRANSCRIPTION_CONCURRENCY && queue.length > 0) {
+    const { messageId, audioBuffer } = queue.shift();
+    running += 1;
+    transcribeVoiceNote(messageId, audioBuffer)
+      .catch(err => console.error(`Voice note transcription failed for ${messageId}:`, err))
+      .finally(() => {
+        running -= 1;
+        drainQueue();
+      });
+  }
+}
+
+function scheduleTranscription(messageId, audioBuffer = null) {
+  queue.push({ messageId, audioBuffer });
+  drainQueue();
+}
+
+/**
+ * Re-queue notes left pending by a restart
+ */
+async function resumePendingTranscriptions() {
+  const pending = await Chat.find({ 'voiceNote.transcriptStatus': 'pending', deletedAt: null }).select('_id').lean();
+  pending.forEach(message => scheduleTranscription(message._id));
+  return pending.length;
+}
+
+module.exports = {
+  VOICE_NOTE_MIME_TYPES,
+  wavDurationMs,
+  resolveDurationMs,
+  scheduleTranscription,
+  transcribeVoiceNote,
+  resumePendingTranscriptions
+};
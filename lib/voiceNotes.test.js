@@ -0,0 +1,80 @@
+// The speech and translation clients aren't exercised here (and pull in ESM-only p-limit)
+jest.mock('../server/utils/speechTranslator', () => ({ recognizeSpeech: jest.fn() }));
+jest.mock('../server/utils/messageTranslator', () => ({ translateToLanguages: jest.fn() }));
+
+const { wavDurationMs, resolveDurationMs } = require('./voiceNotes');
+
+// PCM WAV with the given byte rate and `dataBytes` of silence, plus any chunks before 'data'
+const wav = ({ byteRate = 32000, dataBytes = 32000, extraChunks = [] } = {}) => {
+  const fmt = Buffer.alloc(24);
+  fmt.write('fmt ', 0, 'ascii');
+  fmt.writeUInt32LE(16, 4);
+  fmt.writeUInt16LE(1, 8); // PCM
+  fmt.writeUInt16LE(1, 10); // mono
+  fmt.writeUInt32LE(byteRate / 2, 12);
+  fmt.writeUInt32LE(byteRate, 16);
+  fmt.writeUInt16LE(2, 20);
+  fmt.writeUInt16LE(16, 22);
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write('data', 0, 'ascii');
+  dataHeader.writeUInt32LE(dataBytes, 4);
+  const body = Buffer.concat([Buffer.from('WAVE', 'ascii'), fmt, ...extraChunks, dataHeader, Buffer.alloc(dataBytes)]);
+  const riff = Buffer.alloc(8);
+  riff.write('RIFF', 0, 'ascii');
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+};
+
+const chunk = (id, size) => {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(size, 4);
+  return Buffer.concat([header, Buffer.alloc(size + (size % 2))]);
+};
+
+describe('wavDurationMs', () => {
+  it('reads the duration from the data chunk and byte rate', () => {
+    expect(wavDurationMs(wav())).toBe(1000);
+    expect(wavDurationMs(wav({ byteRate: 16000, dataBytes: 4000 }))).toBe(250);
+  });
+
+  it('skips unrelated chunks, including odd-sized ones', () => {
+    expect(wavDurationMs(wav({ extraChunks: [chunk('LIST', 5), chunk('fact', 4)] }))).toBe(1000);
+  });
+
+  it('uses the bytes present when the data chunk claims more', () => {
+    const truncated = wav().subarray(0, 44 + 16000);
+    expect(wavDurationMs(truncated)).toBe(500);
+  });
+
+  it('returns null for anything that is not a readable WAV', () => {
+    expect(wavDurationMs(null)).toBeNull();
+    expect(wavDurationMs(Buffer.alloc(10))).toBeNull();
+    expect(wavDurationMs(Buffer.alloc(64))).toBeNull();
+    expect(wavDurationMs(wav({ byteRate: 0 }))).toBeNull();
+    const webm = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.alloc(60)]);
+    expect(wavDurationMs(webm)).toBeNull();
+  });
+});
+
+describe('resolveDurationMs', () => {
+  const webm = { buffer: Buffer.alloc(64) };
+
+  it('prefers the WAV header over the reported duration', () => {
+    expect(resolveDurationMs({ buffer: wav() }, '9000')).toBe(1000);
+  });
+
+  it('falls back to the client-reported duration', () => {
+    expect(resolveDurationMs(webm, '2500.4')).toBe(2500);
+  });
+
+  it('requires a positive duration', () => {
+    for (const reported of [undefined, '', 'abc', '0', '-1']) {
+      expect(() => resolveDurationMs(webm, reported)).toThrow(expect.objectContaining({ code: 'VOICE_NOTE_INVALID' }));
+    }
+  });
+
+  it('enforces the maximum length', () => {
+    expect(() => resolveDurationMs(webm, String(60 * 60 * 1000))).toThrow(expect.objectContaining({ code: 'VOICE_NOTE_INVALID' }));
+  });
+});
@@ -1,14 +1,73 @@
-const jwt = require('jsonwebtoken');
+const connectDB = require('../lib/db');
+const { verifyAccessToken } = require('../lib/tokens');
+const { isSessionActive } = require('../lib/sessions');
+const apiKeys = require('../lib/apiKeys');
 
-const authenticate = (req, res, next) => {
-  const token = req.header('x-auth-token');
+// Accept the legacy x-auth-token header as well as a standard Bearer token
+const extractToken = (req) => {
+  const header = req.header('x-auth-token');
+  if (header) return header;
+  const authorization = req.header('authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+};
+
+const authenticate = async (req, res, next) => {
+  const token = extractToken(req);
   if (!token) return res.status(401).json({ error: 'No token, authorization denied' });
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token has expired', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(401).json({ error: 'Token is not valid' });
+  }
+
+  try {
+    // Tokens of a signed-out / remotely revoked session stop working immediately
+    await connectDB();
+    if (!(await isSessionActive(decoded.sid, { ip: req.ip }))) {
+      return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+    }
+  } catch (err) {
+    console.error('Session check error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  req.user = decoded;
+  next();
+};
+
+const API_KEY_ERROR_STATUS = {
+  API_KEY_INVALID: 401,
+  API_KEY_REVOKED: 401,
+  API_KEY_EXPIRED: 401,
+  API_KEY_SCOPE: 403
+};
+
+/**
+ * Like authenticate, but also accepts a bot API key (x-api-key header or Bearer vk_...) carrying
+ * `scope`. req.user then has isBot, apiKeyId and scopes set alongside userId/username/role.
+ */
+const allowApiKey = (scope) => async (req, res, next) => {
+  const key = req.header('x-api-key') || extractToken(req);
+  if (!apiKeys.isApiKey(key)) return authenticate(req, res, next);
+
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
-    next();
+    await connectDB();
+    req.user = apiKeys.principalFor(await apiKeys.verifyApiKey(key, { scope, ip: req.ip }));
+    return next();
   } catch (err) {
-    res.status(401).json({ error: 'Token is not valid' });
+    if (API_KEY_ERROR_STATUS[err.code]) {
+      return res.status(API_KEY_ERROR_STATUS[err.code]).json({ error: err.message, code: err.code });
+    }
+    console.error('API key check error:', err);
+    return res.status(500).json({ error: 'Server error' });
   }
 };
 
 module.exports = authenticate;
+module.exports.extractToken = extractToken;
+module.exports.allowApiKey = allowApiKey;
@@ -0,0 +1,41 @@
+const multer = require('multer');
+
+/**
+ * Single-file multipart upload kept in memory (req.file.buffer) so the handler can validate and
+ * process it before anything reaches the blob store. Size and MIME violations become 413/415 JSON
+ * errors instead of multer's default HTML error page.
+ */
+const singleFileUpload = (fieldName, { maxBytes, mimeTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    // Keep non-ASCII file names intact
+    defParamCharset: 'utf8',
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (mimeTypes && !mimeTypes.includes(file.mimetype)) {
+        const err = new Error(`Unsupported file type: ${file.mimetype}`);
+        err.code = 'UNSUPPORTED_MEDIA_TYPE';
+        return cb(err);
+      }
+      return cb(null, true);
+    }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) {
+        if (!req.file) return res.status(400).json({ error: `A file is required in the "${fieldName}" field` });
+        return next();
+      }
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `File exceeds the ${maxBytes} byte limit`, code: 'FILE_TOO_LARGE' });
+      }
+      if (err.code === 'UNSUPPORTED_MEDIA_TYPE') {
+        return res.status(415).json({ error: err.message, code: err.code });
+      }
+      return res.status(400).json({ error: err.message, code: err.code });
+    });
+  };
+};
+
+module.exports = { singleFileUpload };
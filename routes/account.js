@@ -0,0 +1,15 @@
+const express = require('express');
+const authenticate = require('../middleware/auth');
+const AccountController = require('../controllers/accountController');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/export', AccountController.exportData);
+
+router.get('/deletion', AccountController.getDeletion);
+router.post('/deletion', AccountController.requestDeletion);
+router.delete('/deletion', AccountController.cancelDeletion);
+
+module.exports = router;
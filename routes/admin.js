@@ -0,0 +1,23 @@
+const express = require('express');
+const authenticate = require('../middleware/auth');
+const { requireRole } = require('../lib/authorization');
+const AdminController = require('../controllers/adminController');
+
+const router = express.Router();
+
+// Every admin endpoint requires a signed-in admin
+router.use(authenticate, requireRole('admin'));
+
+router.get('/users', AdminController.listUsers);
+router.post('/users/:userId/suspend', AdminController.suspendUser);
+router.post('/users/:userId/unsuspend', AdminController.unsuspendUser);
+router.put('/users/:userId/role', AdminController.setRole);
+router.get('/login-attempts', AdminController.listLoginAttempts);
+
+router.get('/bots', AdminController.listBots);
+router.post('/bots', AdminController.createBot);
+router.get('/bots/:botId/keys', AdminController.listApiKeys);
+router.post('/bots/:botId/keys', AdminController.createApiKey);
+router.delete('/api-keys/:keyId', AdminController.revokeApiKey);
+
+module.exports = router;
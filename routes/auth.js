@@ -1,13 +1,77 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const connectDB = require('../lib/db');
 const User = require('../lib/models/User');
 const authenticate = require('../middleware/auth');
+const sessions = require('../lib/sessions');
+const Session = require('../lib/models/Session');
+const { isUserOnline } = require('../server/utils/socketEmitter');
+const otp = require('../lib/otp');
+const passwordReset = require('../lib/passwordReset');
+const loginThrottle = require('../lib/loginThrottle');
+const tokens = require('../lib/tokens');
+const twoFactor = require('../lib/twoFactor');
+const { CHANNELS } = require('../lib/notifiers');
+const profiles = require('../lib/profiles');
+const { getBlockedIds, isBlockedBetween, areContacts } = require('../lib/contacts');
+const privacy = require('../lib/privacy');
+const avatars = require('../lib/avatars');
+const { singleFileUpload } = require('../middleware/upload');
+const { config } = require('../server/utils/env');
+const { rejectIfThrottled, rejectFailedAttempt } = require('../server/utils/throttleResponses');
 
 const router = express.Router();
 
+// Client details recorded on the session and its refresh tokens
+const requestMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  deviceName: req.body && typeof req.body.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : undefined
+});
+
+// Map lib/otp.js errors onto HTTP responses
+const sendOtpError = (res, err) => {
+  if (err.code === 'OTP_COOLDOWN') {
+    return res.status(429).json({ error: err.message, code: err.code, retryAfter: Math.ceil(err.retryAfterMs / 1000) });
+  }
+  if (err.code === 'OTP_TOO_MANY_ATTEMPTS') {
+    return res.status(429).json({ error: err.message, code: err.code });
+  }
+  return res.status(400).json({ error: err.message, code: err.code, attemptsRemaining: err.attemptsRemaining });
+};
+
+const sendSuspended = (res, user) => res.status(403).json({
+  error: 'Account suspended',
+  code: 'ACCOUNT_SUSPENDED',
+  reason: user.suspendedReason || null
+});
+
+// Mark the user online and open a session for this device
+const completeLogin = async (req, user) => {
+  user.status = 'online';
+  user.lastActive = Date.now();
+  await user.save();
+
+  const { token, refreshToken, expiresIn, sessionId } = await sessions.startSession(user, requestMeta(req));
+
+  return {
+    token,
+    refreshToken,
+    expiresIn,
+    sessionId,
+    user: {
+      id: user._id,
+      username: user.username,
+      role: user.role,
+      status: user.status,
+      preferredLanguage: user.preferredLanguage,
+      // Set while a requested account deletion is pending; DELETE /api/account/deletion cancels it
+      deletionScheduledFor: (user.deletion && user.deletion.scheduledFor) || null
+    }
+  };
+};
+
 router.post('/login', async (req, res) => {
   try {
     await connectDB();
@@ -15,37 +79,128 @@ router.post('/login', async (req, res) => {
     const { mobileNumber, password } = req.body;
 
     const user = await User.findOne({ mobileNumber });
-    if (!user) return res.status(400).json({ error: 'Invalid credentials' });
+    const attempt = { user, mobileNumber, ip: req.ip, userAgent: req.get('user-agent') };
+
+    if (await rejectIfThrottled(res, attempt)) return;
+
+    // Bot accounts only authenticate with API keys
+    if (!user || user.isBot) {
+      await loginThrottle.recordFailure({ ...attempt, reason: 'unknown_user' });
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
 
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ error: 'Invalid credentials' });
+    if (!isMatch) {
+      return rejectFailedAttempt(res, attempt, { reason: 'invalid_password', body: { error: 'Invalid credentials' } });
+    }
 
-    // Update user status to online
-    user.status = 'online';
-    user.lastActive = Date.now();
-    await user.save();
+    if (user.suspendedAt) {
+      await loginThrottle.recordBlocked({ ...attempt, reason: 'suspended' });
+      return sendSuspended(res, user);
+    }
+
+    // Two-factor accounts get a short-lived challenge instead of tokens. The failure counter is only
+    // cleared once the second step succeeds, so wrong codes still lead to a lockout.
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: tokens.signChallengeToken(user)
+      });
+    }
 
-    const token = jwt.sign(
-      { userId: user._id, role: user.role, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await loginThrottle.recordSuccess(attempt);
 
-    return res.json({
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        status: user.status,
-        preferredLanguage: user.preferredLanguage
+    // Unverified numbers must complete OTP verification first (which logs them in)
+    if (!user.verified) {
+      try {
+        await otp.requestOtp(user.mobileNumber);
+      } catch (otpErr) {
+        if (otpErr.code !== 'OTP_COOLDOWN') throw otpErr;
       }
-    });
+      return res.status(403).json({ error: 'Mobile number not verified', code: 'MOBILE_NOT_VERIFIED' });
+    }
+
+    return res.json(await completeLogin(req, user));
   } catch (err) {
     console.error('Login error:', err);
     return res.status(500).json({ error: 'Login failed' });
   }
 });
 
+// Second login step for two-factor accounts: challenge token + TOTP code (or a backup code)
+router.post('/login/2fa', async (req, res) => {
+  try {
+    await connectDB();
+
+    const { challengeToken, code, backupCode } = req.body;
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+
+    let challenge;
+    try {
+      challenge = tokens.verifyChallengeToken(challengeToken);
+    } catch (tokenErr) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired', code: 'CHALLENGE_INVALID' });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user) return res.status(401).json({ error: 'Login challenge is invalid or has expired', code: 'CHALLENGE_INVALID' });
+
+    const attempt = { user, mobileNumber: user.mobileNumber, ip: req.ip, userAgent: req.get('user-agent') };
+    if (await rejectIfThrottled(res, attempt)) return;
+
+    if (user.suspendedAt) {
+      await loginThrottle.recordBlocked({ ...attempt, reason: 'suspended' });
+      return sendSuspended(res, user);
+    }
+
+    let result;
+    try {
+      result = await twoFactor.verifySecondFactor(user._id, { code, backupCode });
+    } catch (verifyErr) {
+      if (verifyErr.code !== 'TWO_FACTOR_INVALID_CODE') throw verifyErr;
+      return rejectFailedAttempt(res, attempt, {
+        reason: 'invalid_2fa_code',
+        body: { error: verifyErr.message, code: verifyErr.code }
+      });
+    }
+
+    await loginThrottle.recordSuccess(attempt);
+
+    const response = await completeLogin(req, user);
+    if (result.method === 'backup_code') response.backupCodesRemaining = result.backupCodesRemaining;
+    return res.json(response);
+  } catch (err) {
+    console.error('Two-factor login error:', err);
+    return res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair (the old refresh token is consumed)
+router.post('/refresh', async (req, res) => {
+  try {
+    await connectDB();
+
+    const { refreshToken } = req.body;
+    const { ip, userAgent } = requestMeta(req);
+    const result = await sessions.refreshSession(refreshToken, { ip, userAgent });
+
+    return res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+      sessionId: result.sessionId
+    });
+  } catch (err) {
+    if (err.code && err.code.startsWith('TOKEN_')) {
+      return res.status(401).json({ error: err.message, code: err.code });
+    }
+    console.error('Token refresh error:', err);
+    return res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
 router.post('/register', async (req, res) => {
   try {
     await connectDB();
@@ -76,24 +231,78 @@ router.post('/register', async (req, res) => {
     });
 
     await user.save();
-    return res.status(201).json({ message: 'User registered successfully' });
+
+    // Send the first verification code; the client can request another after the cooldown
+    try {
+      await otp.requestOtp(mobileNumber);
+    } catch (otpErr) {
+      console.error('Failed to send verification code:', otpErr.message);
+    }
+
+    return res.status(201).json({
+      message: 'User registered successfully. Verify your mobile number to continue.',
+      verificationRequired: true
+    });
   } catch (err) {
     console.error('Registration error:', err);
     return res.status(500).json({ error: 'Registration failed' });
   }
 });
 
-router.get('/me', async (req, res) => {
+// (Re)send a verification code to an unverified mobile number
+router.post('/otp/request', async (req, res) => {
   try {
     await connectDB();
 
-    const token = req.header('x-auth-token');
-    if (!token) {
-      return res.status(401).json({ error: 'No token, authorization denied' });
+    const { mobileNumber } = req.body;
+    if (!mobileNumber) return res.status(400).json({ error: 'Mobile number is required' });
+
+    const user = await User.findOne({ mobileNumber });
+    if (!user || user.verified) {
+      return res.status(400).json({ error: 'No pending verification for this number' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const { expiresAt, retryAfterMs } = await otp.requestOtp(mobileNumber);
+    return res.json({ success: true, expiresAt, retryAfter: Math.ceil(retryAfterMs / 1000) });
+  } catch (err) {
+    if (err.code && err.code.startsWith('OTP_')) return sendOtpError(res, err);
+    console.error('OTP request error:', err);
+    return res.status(500).json({ error: 'Failed to send verification code' });
+  }
+});
+
+// Confirm the code, mark the number verified and log the user in
+router.post('/otp/verify', async (req, res) => {
+  try {
+    await connectDB();
+
+    const { mobileNumber, code } = req.body;
+    if (!mobileNumber || !code) {
+      return res.status(400).json({ error: 'Mobile number and code are required' });
+    }
+
+    const user = await User.findOne({ mobileNumber });
+    if (!user) return res.status(400).json({ error: 'No pending verification for this number' });
+
+    await otp.verifyOtp(mobileNumber, code);
+    if (user.suspendedAt) return sendSuspended(res, user);
+
+    user.verified = true;
+    user.verifiedAt = new Date();
+
+    return res.json(await completeLogin(req, user));
+  } catch (err) {
+    if (err.code && err.code.startsWith('OTP_')) return sendOtpError(res, err);
+    console.error('OTP verify error:', err);
+    return res.status(500).json({ error: 'Verification failed' });
+  }
+});
+
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const user = await User.findById(req.user.userId).select('-password');
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -103,52 +312,190 @@ router.get('/me', async (req, res) => {
     user.lastActive = Date.now();
     await user.save();
 
-    return res.json(user);
+    return res.json(profiles.toOwnProfile(user));
   } catch (err) {
     console.error('Auth me error:', err);
-    if (err.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Token is not valid' });
-    }
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-router.get('/users', async (req, res) => {
+// Edit profile fields (displayName, bio, statusMessage); contacts receive 'profileUpdated'
+router.patch('/me', authenticate, async (req, res) => {
   try {
     await connectDB();
 
-    const token = req.header('x-auth-token');
-    if (!token) {
-      return res.status(401).json({ error: 'No token, authorization denied' });
+    let update;
+    try {
+      update = profiles.parseProfileUpdate(req.body || {});
+    } catch (validationErr) {
+      if (validationErr.code !== 'PROFILE_INVALID') throw validationErr;
+      return res.status(400).json({ error: validationErr.message, code: validationErr.code, field: validationErr.field });
+    }
+    if (!update.$set && !update.$unset) {
+      return res.status(400).json({ error: 'No profile fields to update' });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findByIdAndUpdate(req.user.userId, update, { new: true }).select('-password');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    await profiles.broadcastProfileUpdate(user);
+    return res.json(profiles.toOwnProfile(user));
+  } catch (err) {
+    console.error('Update profile error:', err);
+    return res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Upload a new avatar (multipart field "avatar"); stored as resized WebP renditions
+router.put('/me/avatar', authenticate,
+  singleFileUpload('avatar', { maxBytes: config.AVATAR_MAX_BYTES, mimeTypes: avatars.AVATAR_MIME_TYPES }),
+  async (req, res) => {
+    try {
+      await connectDB();
+
+      const existing = await User.findById(req.user.userId).select('avatar');
+      if (!existing) return res.status(404).json({ error: 'User not found' });
+
+      let avatar;
+      try {
+        avatar = await avatars.saveAvatar(existing._id, req.file.buffer);
+      } catch (imageErr) {
+        if (imageErr.code !== 'AVATAR_INVALID_IMAGE') throw imageErr;
+        return res.status(400).json({ error: imageErr.message, code: imageErr.code });
+      }
+
+      const user = await User.findByIdAndUpdate(existing._id, { avatar }, { new: true }).select('-password');
+      await avatars.removeAvatar(existing._id, existing.avatar);
+
+      await profiles.broadcastProfileUpdate(user);
+      return res.json(profiles.toOwnProfile(user));
+    } catch (err) {
+      console.error('Avatar upload error:', err);
+      return res.status(500).json({ error: 'Failed to upload avatar' });
+    }
+  }
+);
+
+router.delete('/me/avatar', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const existing = await User.findById(req.user.userId).select('avatar');
+    if (!existing) return res.status(404).json({ error: 'User not found' });
+
+    const user = await User.findByIdAndUpdate(existing._id, { $unset: { avatar: 1 } }, { new: true }).select('-password');
+    await avatars.removeAvatar(existing._id, existing.avatar);
+
+    await profiles.broadcastProfileUpdate(user);
+    return res.json(profiles.toOwnProfile(user));
+  } catch (err) {
+    console.error('Avatar delete error:', err);
+    return res.status(500).json({ error: 'Failed to remove avatar' });
+  }
+});
+
+// Unpaginated list kept for existing clients; new clients should use the /api/users directory
+router.get('/users', authenticate, async (req, res) => {
+  try {
+    await connectDB();
 
     // If caller requests online-only, use the in-memory socket-user map
     const onlineOnly = req.query.online === 'true' || req.query.online === '1';
+    // Users on either side of a block never see each other
+    const hidden = await getBlockedIds(req.user.userId);
+    const viewer = await privacy.viewerContext(req.user.userId);
 
     if (onlineOnly) {
       // global.__connectedUsers is keyed by socketId -> { userId, username, ... }
       const connected = global.__connectedUsers || {};
       const onlineUserIds = new Set(Object.values(connected).map(u => String(u.userId)));
+      hidden.forEach(id => onlineUserIds.delete(id));
 
-      // Query DB for users with ids in onlineUserIds
-      const users = await User.find({ _id: { $in: Array.from(onlineUserIds) } }).select('-password');
-      return res.json(users);
+      // Query DB for users with ids in onlineUserIds, keeping only those who let this viewer see them online
+      const users = await User.find({ _id: { $in: Array.from(onlineUserIds) }, deletedAt: null }).select(profiles.PUBLIC_PROFILE_FIELDS).lean();
+      return res.json(users
+        .map(user => profiles.profileForViewer(user, viewer))
+        .filter(profile => profile.status !== null));
     }
 
-    const users = await User.find().select('-password');
-    return res.json(users);
+    const users = await User.find({ _id: { $nin: Array.from(hidden) }, deletedAt: null }).select(profiles.PUBLIC_PROFILE_FIELDS).lean();
+    return res.json(users.map(user => profiles.profileForViewer(user, viewer)));
   } catch (err) {
     console.error('Get users error:', err);
-    if (err.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Token is not valid' });
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/users/:userId', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
     }
+
+    const user = await User.findOne({ _id: userId, deletedAt: null }).select(profiles.PUBLIC_PROFILE_FIELDS).lean();
+    if (!user || (await isBlockedBetween(req.user.userId, userId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.json(profiles.profileForViewer(user, await privacy.viewerContext(req.user.userId)));
+  } catch (err) {
+    console.error('Get user profile error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Logout endpoint: marks user offline and notifies other sockets
+// Stream an avatar rendition (?size=large|medium|thumb, default medium)
+router.get('/users/:userId/avatar', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const { userId } = req.params;
+    const size = req.query.size || 'medium';
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+    if (!avatars.AVATAR_SIZES[size]) {
+      return res.status(400).json({ error: `Size must be one of: ${Object.keys(avatars.AVATAR_SIZES).join(', ')}` });
+    }
+
+    const user = await User.findById(userId).select('avatar privacy').lean();
+    if (!user || !user.avatar || !user.avatar.id) {
+      return res.status(404).json({ error: 'Avatar not found' });
+    }
+
+    // Hidden photos look the same as missing ones
+    const isSelf = String(user._id) === String(req.user.userId);
+    const { profilePhoto } = privacy.getPrivacy(user);
+    const canSee = isSelf || (profilePhoto !== 'nobody' && !(await isBlockedBetween(req.user.userId, userId)) &&
+      (profilePhoto === 'everyone' || (await areContacts(req.user.userId, userId))));
+    if (!canSee) return res.status(404).json({ error: 'Avatar not found' });
+
+    let stream;
+    try {
+      stream = await avatars.openAvatar(user._id, user.avatar, size);
+    } catch (blobErr) {
+      if (blobErr.code !== 'BLOB_NOT_FOUND') throw blobErr;
+      return res.status(404).json({ error: 'Avatar not found' });
+    }
+
+    // URLs carry the avatar id (?v=), so a rendition never changes under the same URL
+    res.set('Content-Type', user.avatar.contentType);
+    res.set('Cache-Control', 'private, max-age=86400');
+    stream.on('error', (streamErr) => {
+      console.error('Avatar stream error:', streamErr);
+      res.destroy(streamErr);
+    });
+    return stream.pipe(res);
+  } catch (err) {
+    console.error('Get avatar error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout endpoint: ends the current session (or `sessionId`, or `all` sessions) and updates presence
 router.post('/logout', authenticate, async (req, res) => {
   try {
     await connectDB();
@@ -156,26 +503,25 @@ router.post('/logout', authenticate, async (req, res) => {
     const userId = req.user.userId || req.user.userId;
     if (!userId) return res.status(400).json({ error: 'Invalid user' });
 
-    // Update DB status
-    const user = await User.findById(userId);
-    if (user) {
-      user.status = 'offline';
-      user.lastActive = Date.now();
-      await user.save();
-    }
-
-    // Remove any connected sockets for this user and notify others
-    const connected = global.__connectedUsers || {};
-    const io = global.__io;
-
-    Object.keys(connected).forEach(socketId => {
-      const u = connected[socketId];
-      if (String(u.userId) === String(userId)) {
-        // notify other clients
-        if (io) io.emit('userStatusChange', { userId, status: 'offline' });
-        delete connected[socketId];
+    const { sessionId, all } = req.body || {};
+
+    if (all === true || all === 'true') {
+      await sessions.endAllSessions(userId, { reason: 'logout_all' });
+    } else {
+      const targetId = sessionId || req.user.sid;
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return res.status(400).json({ error: 'Invalid session id' });
       }
-    });
+      const session = await Session.findOne({ _id: targetId, user: userId });
+      if (!session) return res.status(404).json({ error: 'Session not found' });
+      await sessions.endSession(session._id, 'logout');
+    }
+
+    // Ending a session disconnects its sockets; only go offline when no other device is still connected
+    if (!(await isUserOnline(userId))) {
+      await User.findByIdAndUpdate(userId, { status: 'offline', lastActive: Date.now() });
+      await privacy.emitPresence(userId, 'offline');
+    }
 
     return res.json({ success: true });
   } catch (err) {
@@ -184,6 +530,309 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
+// List the caller's signed-in devices
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const list = await sessions.listSessions(req.user.userId);
+    return res.json({
+      sessions: list.map(s => ({
+        id: s._id,
+        deviceName: s.deviceName,
+        ip: s.ip,
+        userAgent: s.userAgent,
+        lastSeenAt: s.lastSeenAt,
+        createdAt: s.createdAt,
+        current: String(s._id) === String(req.user.sid)
+      }))
+    });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sign out every other device, keeping the caller's current session
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const revoked = await sessions.endAllSessions(req.user.userId, { except: req.user.sid, reason: 'remote_logout' });
+    return res.json({ success: true, revoked });
+  } catch (err) {
+    console.error('Revoke sessions error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remotely sign out one device
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, user: req.user.userId, revokedAt: null });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    await sessions.endSession(session._id, 'remote_logout');
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const isValidPassword = (password) =>
+  typeof password === 'string' && password.length >= config.PASSWORD_MIN_LENGTH;
+
+// Change password for a signed-in user; every other session is signed out
+router.put('/password', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+    if (!isValidPassword(newPassword)) {
+      return res.status(400).json({ error: `Password must be at least ${config.PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // Same throttle as login, so a stolen access token isn't an unlimited password oracle
+    const attempt = { user, mobileNumber: user.mobileNumber, ip: req.ip, userAgent: req.get('user-agent') };
+    if (await rejectIfThrottled(res, attempt)) return;
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return rejectFailedAttempt(res, attempt, { reason: 'invalid_password', body: { error: 'Current password is incorrect' } });
+    }
+    await loginThrottle.recordSuccess(attempt);
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    const revoked = await sessions.endAllSessions(user._id, { except: req.user.sid, reason: 'password_changed' });
+
+    return res.json({ success: true, revokedSessions: revoked });
+  } catch (err) {
+    console.error('Change password error:', err);
+    return res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Start a password reset. Always answers the same way so it can't be used to probe accounts.
+router.post('/password/forgot', async (req, res) => {
+  try {
+    await connectDB();
+
+    const { mobileNumber, email } = req.body;
+    if (!mobileNumber && !email) {
+      return res.status(400).json({ error: 'Mobile number or email is required' });
+    }
+
+    const channel = req.body.channel || (mobileNumber ? 'sms' : 'email');
+    if (!CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `Channel must be one of: ${CHANNELS.join(', ')}` });
+    }
+
+    const user = await User.findOne(mobileNumber ? { mobileNumber } : { email });
+    if (user && (channel !== 'email' || user.email)) {
+      try {
+        await passwordReset.sendResetToken(user, { channel, ip: req.ip });
+      } catch (sendErr) {
+        console.error('Failed to deliver password reset token:', sendErr.message);
+      }
+    }
+
+    return res.json({ success: true, message: 'If the account exists, reset instructions have been sent' });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Complete a password reset with the delivered token; all sessions are signed out
+router.post('/password/reset', async (req, res) => {
+  try {
+    await connectDB();
+
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+    if (!isValidPassword(newPassword)) {
+      return res.status(400).json({ error: `Password must be at least ${config.PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    const userId = await passwordReset.consumeResetToken(token);
+    const user = await User.findById(userId);
+    if (!user) return res.status(400).json({ error: 'Reset token is invalid or has expired' });
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    await sessions.endAllSessions(user._id, { reason: 'password_reset' });
+
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.code && err.code.startsWith('RESET_TOKEN_')) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    console.error('Reset password error:', err);
+    return res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Map lib/twoFactor.js errors onto HTTP responses
+const sendTwoFactorError = (res, err, fallback) => {
+  if (err.code && err.code.startsWith('TWO_FACTOR_')) {
+    return res.status(400).json({ error: err.message, code: err.code });
+  }
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ error: fallback });
+};
+
+// Begin 2FA enrollment: returns the secret and an otpauth:// URI for the authenticator app
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const { secret, otpauthUri } = await twoFactor.startEnrollment(req.user.userId);
+    return res.json({ secret, otpauthUri });
+  } catch (err) {
+    return sendTwoFactorError(res, err, 'Two-factor setup failed');
+  }
+});
+
+// Confirm enrollment with a code from the app; backup codes are shown only this once
+router.post('/2fa/confirm', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    const backupCodes = await twoFactor.confirmEnrollment(req.user.userId, code);
+    return res.json({ enabled: true, backupCodes });
+  } catch (err) {
+    return sendTwoFactorError(res, err, 'Two-factor confirmation failed');
+  }
+});
+
+// Turn 2FA off: requires the password and a current code (or a backup code)
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const { password, code, backupCode } = req.body;
+    if (!password || (!code && !backupCode)) {
+      return res.status(400).json({ error: 'Password and code are required' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // Password and code guesses count towards the login lockout
+    const attempt = { user, mobileNumber: user.mobileNumber, ip: req.ip, userAgent: req.get('user-agent') };
+    if (await rejectIfThrottled(res, attempt)) return;
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return rejectFailedAttempt(res, attempt, { reason: 'invalid_password', body: { error: 'Password is incorrect' } });
+    }
+
+    try {
+      await twoFactor.verifySecondFactor(user._id, { code, backupCode });
+    } catch (verifyErr) {
+      if (verifyErr.code !== 'TWO_FACTOR_INVALID_CODE') throw verifyErr;
+      return rejectFailedAttempt(res, attempt, {
+        reason: 'invalid_2fa_code',
+        body: { error: verifyErr.message, code: verifyErr.code }
+      });
+    }
+    await loginThrottle.recordSuccess(attempt);
+
+    await twoFactor.disable(user._id);
+
+    return res.json({ enabled: false });
+  } catch (err) {
+    return sendTwoFactorError(res, err, 'Failed to disable two-factor authentication');
+  }
+});
+
+// Replace all backup codes (requires a current code)
+router.post('/2fa/backup-codes', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    await twoFactor.verifySecondFactor(req.user.userId, { code });
+    const backupCodes = await twoFactor.regenerateBackupCodes(req.user.userId);
+    return res.json({ backupCodes });
+  } catch (err) {
+    return sendTwoFactorError(res, err, 'Failed to regenerate backup codes');
+  }
+});
+
+router.get('/privacy', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    return res.json(await privacy.loadPrivacy(req.user.userId));
+  } catch (err) {
+    console.error('Get privacy settings error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Partial update of privacy settings (onlineStatus, lastSeen, profilePhoto, readReceipts)
+router.put('/privacy', authenticate, async (req, res) => {
+  try {
+    await connectDB();
+
+    let $set;
+    try {
+      $set = privacy.parsePrivacyUpdate(req.body || {});
+    } catch (validationErr) {
+      if (validationErr.code !== 'PRIVACY_INVALID') throw validationErr;
+      return res.status(400).json({ error: validationErr.message, code: validationErr.code, field: validationErr.field });
+    }
+    if (Object.keys($set).length === 0) {
+      return res.status(400).json({ error: 'No privacy settings to update' });
+    }
+
+    const before = await User.findByIdAndUpdate(req.user.userId, { $set }).select('privacy status');
+    if (!before) return res.status(404).json({ error: 'User not found' });
+
+    const user = await User.findById(req.user.userId).select('-password');
+    const settings = privacy.getPrivacy(user);
+
+    // Re-announce presence so users who just lost visibility stop seeing this user online
+    if (settings.onlineStatus !== privacy.getPrivacy(before).onlineStatus && user.status === 'online') {
+      await privacy.emitPresence(user._id, 'online', { hideFromOthers: true });
+    }
+    // Avatar or presence visibility changed what contacts see
+    await profiles.broadcastProfileUpdate(user);
+
+    return res.json(settings);
+  } catch (err) {
+    console.error('Update privacy settings error:', err);
+    return res.status(500).json({ error: 'Failed to update privacy settings' });
+  }
+});
+
 router.put('/language', authenticate, async (req, res) => {
   try {
     await connectDB();
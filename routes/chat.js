@@ -1,10 +1,11 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const connectDB = require('../lib/db');
 const Room = require('../lib/models/Room');
 const GroupCall = require('../lib/models/GroupCall');
 const Chat = require('../lib/models/Chat');
+const authenticate = require('../middleware/auth');
+const { allowApiKey } = require('../middleware/auth');
 
 // Import controllers
 const MessageController = require('../controllers/messageController');
@@ -12,28 +13,27 @@ const GroupCallController = require('../controllers/groupCallController');
 const RoomController = require('../controllers/roomController');
 const HistoryController = require('../controllers/historyController');
 const TranslateController = require('../controllers/translateController');
+const AttachmentController = require('../controllers/attachmentController');
+const SearchController = require('../controllers/searchController');
+const ReadReceiptController = require('../controllers/readReceiptController');
+const { singleFileUpload } = require('../middleware/upload');
+const { config } = require('../server/utils/env');
+const { VOICE_NOTE_MIME_TYPES } = require('../lib/voiceNotes');
 
 const router = express.Router();
 
-// Middleware to authenticate
-const authenticate = (req, res, next) => {
-  const token = req.header('x-auth-token');
-  if (!token) {
-    return res.status(401).json({ error: 'No token, authorization denied' });
-  }
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ error: 'Token is not valid' });
-  }
-};
-
-router.post('/message', authenticate, MessageController.sendMessage);
+// Bots may send messages and read history with a suitably scoped API key
+router.post('/message', allowApiKey('messages:send'), MessageController.sendMessage);
+router.patch('/messages/:messageId', allowApiKey('messages:send'), MessageController.editMessage);
+router.delete('/messages/:messageId', allowApiKey('messages:send'), MessageController.deleteMessage);
+router.post('/messages/:messageId/reactions', allowApiKey('messages:send'), MessageController.addReaction);
+router.delete('/messages/:messageId/reactions/:emoji', allowApiKey('messages:send'), MessageController.removeReaction);
+router.get('/messages/:messageId/edits', allowApiKey('messages:read'), MessageController.getEditHistory);
+router.get('/messages/:messageId/seen-by', allowApiKey('messages:read'), ReadReceiptController.getSeenBy);
 
 router.get('/rooms', authenticate, RoomController.getRooms);
 router.post('/rooms', authenticate, RoomController.createRoom);
+router.post('/rooms/:roomId/read', authenticate, ReadReceiptController.markRoomRead);
 
 router.get('/group-call/pending', authenticate, GroupCallController.getPending);
 router.post('/group-call/initiate', authenticate, GroupCallController.initiate);
@@ -42,7 +42,23 @@ router.post('/group-call/:callId/decline', authenticate, GroupCallController.dec
 router.post('/group-call/:callId/join', authenticate, GroupCallController.join);
 router.get('/group-call/:callId/leave', authenticate, GroupCallController.leave);
 
-router.get('/history', authenticate, HistoryController.getHistory);
+router.get('/history', allowApiKey('messages:read'), HistoryController.getHistory);
+router.post(
+  '/attachments',
+  allowApiKey('messages:send'),
+  singleFileUpload('file', { maxBytes: config.ATTACHMENT_MAX_BYTES, mimeTypes: config.ATTACHMENT_MIME_TYPES }),
+  AttachmentController.upload
+);
+router.post(
+  '/voice-notes',
+  allowApiKey('messages:send'),
+  singleFileUpload('audio', { maxBytes: config.VOICE_NOTE_MAX_BYTES, mimeTypes: VOICE_NOTE_MIME_TYPES }),
+  MessageController.sendVoiceNote
+);
+router.get('/attachments/:attachmentId', allowApiKey('messages:read'), AttachmentController.download);
+
+router.get('/threads/:messageId', allowApiKey('messages:read'), HistoryController.getThread);
+router.get('/search', allowApiKey('messages:read'), SearchController.searchMessages);
 router.get('/unread-counts', authenticate, HistoryController.getUnreadCounts);
 
 router.post('/translate', authenticate, TranslateController.translate);
@@ -0,0 +1,23 @@
+const express = require('express');
+const authenticate = require('../middleware/auth');
+const ContactController = require('../controllers/contactController');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', ContactController.listContacts);
+
+router.get('/requests', ContactController.listRequests);
+router.post('/requests', ContactController.sendRequest);
+router.post('/requests/:requestId/accept', ContactController.acceptRequest);
+router.post('/requests/:requestId/decline', ContactController.declineRequest);
+router.delete('/requests/:requestId', ContactController.cancelRequest);
+
+router.get('/blocked', ContactController.listBlocked);
+router.post('/blocked', ContactController.blockUser);
+router.delete('/blocked/:userId', ContactController.unblockUser);
+
+router.delete('/:userId', ContactController.removeContact);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const authenticate = require('../middleware/auth');
 const router = express.Router();
 
 // Azure Translator configuration
@@ -12,21 +12,6 @@ let cachedLanguages = null;
 let cacheTimestamp = null;
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 
-// Middleware to authenticate
-const authenticate = (req, res, next) => {
-  const token = req.header('x-auth-token');
-  if (!token) {
-    return res.status(401).json({ error: 'No token, authorization denied' });
-  }
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ error: 'Token is not valid' });
-  }
-};
-
 router.get('/languages', authenticate, async (req, res) => {
   try {
     // Return cached languages if available and not expired
@@ -0,0 +1,9 @@
+const express = require('express');
+const authenticate = require('../middleware/auth');
+const DirectoryController = require('../controllers/directoryController');
+
+const router = express.Router();
+
+router.get('/', authenticate, DirectoryController.listUsers);
+
+module.exports = router;
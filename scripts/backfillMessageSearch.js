@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// One-off migration: fill searchText (message search) for messages saved before the field existed
+// and build the text index. Safe to run repeatedly.
+const connectDB = require('../lib/db');
+const mongoose = require('mongoose');
+const Chat = require('../lib/models/Chat');
+
+const { config: envConfig } = require('../server/utils/env');
+
+async function backfill() {
+  if (!process.env.MONGO_URI && envConfig && envConfig.MONGO_URI) {
+    process.env.MONGO_URI = envConfig.MONGO_URI;
+  }
+  try {
+    await connectDB();
+
+    // Pipeline updates bypass the schema hooks: originalContent followed by every translation
+    const result = await Chat.collection.updateMany(
+      { searchText: { $exists: false } },
+      [{
+        $set: {
+          searchText: {
+            $reduce: {
+              input: { $objectToArray: { $ifNull: ['$translations', {}] } },
+              initialValue: { $ifNull: ['$originalContent', ''] },
+              in: { $concat: ['$$value', '\n', '$$this.v'] }
+            }
+          }
+        }
+      }]
+    );
+    console.log(`Backfilled search text for ${result.modifiedCount} messages`);
+
+    await Chat.syncIndexes();
+    console.log('Chat indexes in sync');
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (err) {
+    console.error('Backfill error:', err && err.message ? err.message : err);
+    try { await mongoose.connection.close(); } catch (e) {}
+    process.exit(1);
+  }
+}
+
+backfill();
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// One-off migration: fill usernameLower/displayNameLower (user directory search) for accounts
+// created before those fields existed. Safe to run repeatedly.
+const connectDB = require('../lib/db');
+const mongoose = require('mongoose');
+const User = require('../lib/models/User');
+
+const { config: envConfig } = require('../server/utils/env');
+
+async function backfill() {
+  if (!process.env.MONGO_URI && envConfig && envConfig.MONGO_URI) {
+    process.env.MONGO_URI = envConfig.MONGO_URI;
+  }
+  try {
+    await connectDB();
+
+    // Pipeline updates bypass the schema hooks, so compute both fields here
+    const result = await User.collection.updateMany(
+      { usernameLower: { $exists: false } },
+      [{
+        $set: {
+          usernameLower: { $toLower: '$username' },
+          displayNameLower: {
+            $cond: [{ $ifNull: ['$displayName', false] }, { $toLower: '$displayName' }, '$$REMOVE']
+          }
+        }
+      }]
+    );
+    console.log(`Backfilled search names for ${result.modifiedCount} users`);
+
+    await User.syncIndexes();
+    console.log('User indexes in sync');
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (err) {
+    console.error('Backfill error:', err && err.message ? err.message : err);
+    try { await mongoose.connection.close(); } catch (e) {}
+    process.exit(1);
+  }
+}
+
+backfill();
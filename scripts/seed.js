@@ -28,9 +28,9 @@ async function seed() {
     console.log('Creating users');
     const pwd = await bcrypt.hash('pass123', 10);
     const users = await User.insertMany([
-      { username: 'alice', mobileNumber: '1111111111', password: pwd, preferredLanguage: 'en', status: 'offline' },
-      { username: 'bob', mobileNumber: '2222222222', password: pwd, preferredLanguage: 'es', status: 'offline' },
-      { username: 'carol', mobileNumber: '3333333333', password: pwd, preferredLanguage: 'hi', status: 'offline' }
+      { username: 'alice', mobileNumber: '1111111111', password: pwd, verified: true, role: 'admin', preferredLanguage: 'en', status: 'offline' },
+      { username: 'bob', mobileNumber: '2222222222', password: pwd, verified: true, preferredLanguage: 'es', status: 'offline' },
+      { username: 'carol', mobileNumber: '3333333333', password: pwd, verified: true, preferredLanguage: 'hi', status: 'offline' }
     ]);
 
     console.log('Creating rooms');
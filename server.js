@@ -3,10 +3,15 @@ const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('./lib/tokens');
+const { isSessionActive } = require('./lib/sessions');
+const apiKeys = require('./lib/apiKeys');
 const handleAudioTranslation = require('./server/socket/audioHandler');
 const handleGroupCallAudioTranslation = require('./server/socket/groupCallAudioHandler');
 const socketHandlers = require('./server/socket/socketHandlers');
+const { purgeDueAccounts } = require('./lib/accountDeletion');
+const { purgeUnsentAttachments } = require('./lib/attachments');
+const { resumePendingTranscriptions } = require('./lib/voiceNotes');
 
 // Validate Azure env and expose TTS availability
 const { config: envConfig } = require('./server/utils/env');
@@ -34,6 +39,12 @@ if (!ttsAvailable) {
 const port = parseInt(process.env.PORT || '3001', 10); // Different port for backend
 
 const app = express();
+// Behind a proxy/load balancer req.ip must be the client address (used by per-IP login limits)
+const trustProxy = envConfig.TRUST_PROXY;
+if (trustProxy) {
+  // Accepts a hop count ("1"), "true", or an Express subnet list ("loopback, 10.0.0.0/8")
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
 app.use(cors({
   origin: '*',
   credentials: true
@@ -54,6 +65,18 @@ app.use('/api/translator', translatorRoutes);
 const chatRoutes = require('./routes/chat');
 app.use('/api/chat', chatRoutes);
 
+const adminRoutes = require('./routes/admin');
+app.use('/api/admin', adminRoutes);
+
+const contactRoutes = require('./routes/contacts');
+app.use('/api/contacts', contactRoutes);
+
+const accountRoutes = require('./routes/account');
+app.use('/api/account', accountRoutes);
+
+const userRoutes = require('./routes/users');
+app.use('/api/users', userRoutes);
+
 const server = createServer(app);
 
 // Store active users and their rooms
@@ -100,23 +123,47 @@ global.__io = io;
 console.log('Global Socket.IO instance set: global.__io');
 
 // Socket.IO authentication middleware
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization?.split(' ')[1];
   
   if (!token) {
     console.error('No token provided for socket connection');
     return next(new Error('Authentication error: No token provided'));
   }
+
+  // Bots connect with an API key that has the 'realtime' scope
+  if (apiKeys.isApiKey(token)) {
+    try {
+      const principal = apiKeys.principalFor(await apiKeys.verifyApiKey(token, { scope: 'realtime', ip: socket.handshake.address }));
+      socket.userId = principal.userId;
+      socket.user = principal;
+      return next();
+    } catch (err) {
+      console.error('Socket API key authentication failed:', err.message);
+      return next(new Error(`Authentication error: ${err.message}`));
+    }
+  }
   
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.userId = decoded.userId;
-    socket.user = decoded;
-    next();
+    decoded = verifyAccessToken(token);
   } catch (err) {
     console.error('Socket authentication failed:', err.message);
-    next(new Error('Authentication error: Invalid token'));
+    return next(new Error('Authentication error: Invalid token'));
   }
+
+  try {
+    if (!(await isSessionActive(decoded.sid))) {
+      return next(new Error('Authentication error: Session has been revoked'));
+    }
+  } catch (err) {
+    console.error('Socket session check failed:', err.message);
+    return next(new Error('Authentication error: Session check failed'));
+  }
+
+  socket.userId = decoded.userId;
+  socket.user = decoded;
+  next();
 });
 
 // Socket event handlers
@@ -136,6 +183,26 @@ setInterval(() => {
   });
 }, 5 * 60 * 1000);
 
+// Carry out account deletions whose grace period has ended
+setInterval(async () => {
+  try {
+    const purged = await purgeDueAccounts();
+    if (purged > 0) console.log(`🗑️ Purged ${purged} deleted account(s)`);
+  } catch (err) {
+    console.error('Account deletion sweep failed:', err);
+  }
+}, envConfig.ACCOUNT_DELETION_SWEEP_INTERVAL_MS);
+
+// Remove chat uploads that were never sent
+setInterval(async () => {
+  try {
+    const removed = await purgeUnsentAttachments();
+    if (removed > 0) console.log(`🗑️ Removed ${removed} unsent attachment(s)`);
+  } catch (err) {
+    console.error('Attachment sweep failed:', err);
+  }
+}, 60 * 60 * 1000);
+
 // Start server after ensuring MongoDB connection
 async function startServer() {
   try {
@@ -146,6 +213,11 @@ async function startServer() {
     process.exit(1);
   }
 
+  // Voice notes whose transcription was interrupted by a restart
+  resumePendingTranscriptions()
+    .then(count => { if (count > 0) console.log(`🎙️ Resumed ${count} pending voice note transcription(s)`); })
+    .catch(err => console.error('Failed to resume voice note transcriptions:', err));
+
   server.listen(port, '0.0.0.0', () => {
     console.log(`Backend server running on port http://localhost:${port}`);
   });
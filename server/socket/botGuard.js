@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Room = require('../../lib/models/Room');
+
+// Events a bot socket may emit; everything else (calls, audio, token refresh, moderation) is refused
+const BOT_EVENTS = new Set([
+  'joinRoom',
+  'leaveRoom',
+  'sendMessage',
+  'editMessage',
+  'deleteMessage',
+  'addReaction',
+  'removeReaction',
+  'typing',
+  'messageDelivered',
+  'messageSeen',
+  'replayPendingMessages',
+  'ping'
+]);
+
+// Events that need a specific API key scope on top of the 'realtime' scope used to connect
+const EVENT_SCOPES = {
+  sendMessage: 'messages:send',
+  editMessage: 'messages:send',
+  deleteMessage: 'messages:send',
+  addReaction: 'messages:send',
+  removeReaction: 'messages:send'
+};
+
+const isRoomParticipant = async (roomId, userId) =>
+  mongoose.Types.ObjectId.isValid(roomId) && Boolean(await Room.exists({ _id: roomId, participants: userId }));
+
+/**
+ * Restrict a socket authenticated with a bot API key: only whitelisted events, scope checks, and
+ * room access limited to rooms the bot belongs to. Refusals are reported with an 'error' event.
+ */
+module.exports = (socket) => {
+  const refuse = (event, message, code) => {
+    socket.emit('error', { message, code, event });
+  };
+
+  socket.use(async ([event, data], next) => {
+    if (!BOT_EVENTS.has(event)) {
+      return refuse(event, `Bots cannot use '${event}'`, 'BOT_EVENT_FORBIDDEN');
+    }
+
+    const scope = EVENT_SCOPES[event];
+    if (scope && !(socket.user.scopes || []).includes(scope)) {
+      return refuse(event, `API key lacks the '${scope}' scope`, 'API_KEY_SCOPE');
+    }
+
+    const roomId = event === 'joinRoom' ? data : (data && data.roomId);
+    if (event === 'joinRoom' || (event === 'sendMessage' && roomId)) {
+      try {
+        if (!(await isRoomParticipant(roomId, socket.userId))) {
+          return refuse(event, 'Bot is not a participant of this room', 'BOT_ROOM_FORBIDDEN');
+        }
+      } catch (err) {
+        console.error('Bot room check error:', err);
+        return refuse(event, 'Server error', 'SERVER_ERROR');
+      }
+    }
+
+    return next();
+  });
+};
@@ -1,7 +1,25 @@
+const mongoose = require('mongoose');
 const handleAudioTranslation = require('./audioHandler');
 const handleGroupCallAudioTranslation = require('./groupCallAudioHandler');
+const handleTokenRefresh = require('./tokenHandler');
+const applyBotRestrictions = require('./botGuard');
 const User = require('../../lib/models/User');
 const Chat = require('../../lib/models/Chat');
+const Room = require('../../lib/models/Room');
+const { userRoom, sessionRoom, apiKeyRoom, emitToUser, emitToConversation } = require('../utils/socketEmitter');
+const { socketRequireRole } = require('../../lib/authorization');
+const { isBlockedBetween } = require('../../lib/contacts');
+const { emitPresence, sendsReadReceipts } = require('../../lib/privacy');
+const messageActions = require('../../lib/messages');
+const readReceipts = require('../../lib/readReceipts');
+const delivery = require('../../lib/messageDelivery');
+const { resolveKey, sendOnce } = require('../../lib/messageIdempotency');
+const { scheduleTranslation } = require('../../lib/messageTranslations');
+
+// Presence goes only to users allowed to see it (lib/privacy.js); failures must not break the socket flow
+const announcePresence = (userId, status) => emitPresence(userId, status).catch(err => {
+  console.error(`Failed to emit ${status} presence for ${userId}:`, err);
+});
 
 module.exports = (io, users, rooms, findUserByUserId) => {
   // Handle socket connections
@@ -11,19 +29,24 @@ module.exports = (io, users, rooms, findUserByUserId) => {
     const userId = socket.userId;
     const username = socket.user.username || socket.user.user?.username || 'Unknown';
 
-    // Clean up any existing connections for this userId (handle multiple devices/tabs)
-    Object.keys(users).forEach(sid => {
-      if (users[sid].userId === userId && sid !== socket.id) {
-        console.log(`🧹 Cleaning up old connection for userId=${userId}, oldSocketId=${sid}`);
-        delete users[sid];
-      }
-    });
+    // A user may be connected from several devices/tabs at once: each socket joins the user's
+    // room (fan-out to every device) and its session's room (remote sign-out of one device)
+    socket.join(userRoom(userId));
+    if (socket.user.sid) socket.join(sessionRoom(socket.user.sid));
+    // Bot sockets can be cut off when their key is revoked
+    if (socket.user.isBot) {
+      socket.join(apiKeyRoom(socket.user.apiKeyId));
+      applyBotRestrictions(socket);
+    }
+
+    const hasOtherConnections = Object.keys(users).some(sid => users[sid].userId === userId && sid !== socket.id);
 
     // Store user connection - KEY BY SOCKET ID for proper lookup in audio handler
     users[socket.id] = {
       socketId: socket.id,
       userId: userId,
       username: username,
+      sessionId: socket.user.sid,
       status: 'online',
       lastActive: new Date(),
       preferredLanguage: 'en' // Default, will be updated by updateLanguagePreference event
@@ -41,16 +64,18 @@ module.exports = (io, users, rooms, findUserByUserId) => {
       console.error(`❌ Failed to update user status in DB for userId=${userId}:`, error);
     }
 
-    // Broadcast user online status
-    socket.broadcast.emit('userStatusChange', {
-      userId,
-      status: 'online'
-    });
+    // Broadcast user online status (only when the first device comes online)
+    if (!hasOtherConnections) {
+      announcePresence(userId, 'online');
+    }
 
     // Initialize audio translation handlers
     handleAudioTranslation(io, socket, users);
     handleGroupCallAudioTranslation(io, socket, users);
 
+    // Allow the client to renew its access token without reconnecting
+    handleTokenRefresh(io, socket);
+
     // Handle language preference updates
     socket.on('updateLanguagePreference', (data) => {
       const { language } = data;
@@ -63,8 +88,23 @@ module.exports = (io, users, rooms, findUserByUserId) => {
       }
     });
 
-    // Handle user joining a room
-    socket.on('joinRoom', (roomId) => {
+    // Handle user joining a room. Persisted chat rooms are members-only; other ids (call rooms)
+    // are open
+    socket.on('joinRoom', async (roomId) => {
+      if (mongoose.Types.ObjectId.isValid(roomId)) {
+        try {
+          const room = await Room.findById(roomId).select('participants admins').lean();
+          const members = room ? [...(room.participants || []), ...(room.admins || [])] : [];
+          if (room && !members.some(id => String(id) === String(userId))) {
+            socket.emit('error', { message: 'You are not a member of this room', code: 'ROOM_FORBIDDEN', event: 'joinRoom' });
+            return;
+          }
+        } catch (err) {
+          console.error('Room membership check failed for joinRoom:', err);
+          return;
+        }
+      }
+
       socket.join(roomId);
       console.log(`User ${userId} joined room ${roomId}`);
 
@@ -99,58 +139,176 @@ module.exports = (io, users, rooms, findUserByUserId) => {
       });
     });
 
-    // Handle private messages
-    socket.on('sendMessage', async (data) => {
-      const { receiverId, content, roomId } = data;
+    // Moderators can remove a user from a room: their membership of a persisted room is dropped
+    // (so they can't rejoin or read its history) and their live sockets are pulled out
+    socket.on('removeFromRoom', socketRequireRole(socket, ['moderator'], async (data) => {
+      const { roomId, userId: targetUserId } = data || {};
+      if (!roomId || !targetUserId) return;
 
-      const message = {
-        senderId: userId,
-        senderName: socket.user.username,
-        content,
-        timestamp: new Date(),
+      if (mongoose.Types.ObjectId.isValid(roomId)) {
+        if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+          socket.emit('error', { message: 'Invalid user id', code: 'INVALID_USER_ID', event: 'removeFromRoom' });
+          return;
+        }
+        try {
+          await Room.updateOne({ _id: roomId }, { $pull: { participants: targetUserId, admins: targetUserId } });
+        } catch (err) {
+          console.error('Failed to remove room member:', err);
+          socket.emit('error', { message: 'Failed to remove user from room', code: 'SERVER_ERROR', event: 'removeFromRoom' });
+          return;
+        }
+      }
+
+      console.log(`🛡️ Moderator ${userId} removed user ${targetUserId} from room ${roomId}`);
+      io.in(userRoom(targetUserId)).socketsLeave(roomId);
+
+      if (rooms[roomId]) {
+        rooms[roomId].delete(targetUserId);
+        if (rooms[roomId].size === 0) {
+          delete rooms[roomId];
+        }
+      }
+
+      emitToUser(targetUserId, 'removedFromRoom', { roomId, by: userId });
+      io.to(roomId).emit('userLeftRoom', {
+        userId: targetUserId,
         roomId
-      };
+      });
+    }));
 
-      if (receiverId) {
-        // Private message
-        const receiverUser = findUserByUserId(receiverId);
-        if (receiverUser) {
-          io.to(receiverUser.socketId).emit('receiveMessage', message);
+    // Send a message: persisted like POST /api/chat/message, then delivered by lib/messageDelivery.js
+    // (queued for offline receivers). The sender gets messageSent with the stored message; a retry
+    // with the same clientTempId / idempotencyKey gets the original back (duplicate: true).
+    socket.on('sendMessage', async (data) => {
+      const { receiverId, content, roomId, attachmentIds, replyToId, threadId, clientTempId, idempotencyKey } = data || {};
+
+      try {
+        const key = resolveKey(idempotencyKey, clientTempId);
+        const { message: newMessage, messageId } = await sendOnce(userId, key, async () => {
+          const prepared = await messageActions.prepareMessage({
+            sender: { userId, isBot: Boolean(socket.user.isBot) },
+            content,
+            roomId,
+            receiverId,
+            replyToId,
+            threadId,
+            attachmentIds
+          });
+          return messageActions.saveMessage(prepared);
+        });
+        if (messageId) {
+          const original = await delivery.loadMessage(messageId, { clientTempId });
+          socket.emit('messageSent', { success: true, message: original, clientTempId: clientTempId || null, duplicate: true });
+          return;
         }
-      } else if (roomId) {
-        // Room message
-        socket.to(roomId).emit('receiveMessage', message);
+
+        await messageActions.recordSentMessage(newMessage);
+
+        const message = await delivery.publishMessage(newMessage, { clientTempId });
+        scheduleTranslation(newMessage._id);
+        socket.emit('messageSent', { success: true, message, clientTempId: clientTempId || null });
+      } catch (err) {
+        if (!err.code) console.error('Error sending message:', err);
+        socket.emit('messageSent', {
+          success: false,
+          code: err.code || 'SERVER_ERROR',
+          error: err.code ? err.message : 'Failed to send message',
+          clientTempId: clientTempId || null
+        });
       }
+    });
 
-      // Send confirmation back to sender
-      socket.emit('messageSent', { success: true, message });
+    // Edit a persisted message; the conversation receives messageEdited
+    socket.on('editMessage', async (data) => {
+      const { messageId, content } = data || {};
+      try {
+        const message = await messageActions.editMessage({ messageId, userId, content });
+        emitToConversation(message, 'messageEdited', messageActions.messageEditedPayload(message));
+      } catch (err) {
+        if (!err.code) console.error('Error editing message:', err);
+        socket.emit('messageEditFailed', {
+          messageId: messageId || null,
+          code: err.code || 'SERVER_ERROR',
+          error: err.code ? err.message : 'Failed to edit message'
+        });
+      }
+    });
+
+    // Delete a persisted message for this user only (scope 'me') or for the whole conversation
+    socket.on('deleteMessage', async (data) => {
+      const { messageId, scope = 'me' } = data || {};
+      try {
+        const message = await messageActions.deleteMessage({ messageId, userId, scope });
+        const payload = messageActions.messageDeletedPayload(message, scope);
+        if (scope === 'everyone') {
+          emitToConversation(message, 'messageDeleted', payload);
+        } else {
+          emitToUser(userId, 'messageDeleted', payload);
+        }
+      } catch (err) {
+        if (!err.code) console.error('Error deleting message:', err);
+        socket.emit('messageDeleteFailed', {
+          messageId: messageId || null,
+          code: err.code || 'SERVER_ERROR',
+          error: err.code ? err.message : 'Failed to delete message'
+        });
+      }
     });
 
-    // Client acknowledges that a message was delivered to them
+    // Add or remove an emoji reaction; the conversation receives messageReaction
+    const handleReaction = (action) => async (data) => {
+      const { messageId, emoji } = data || {};
+      try {
+        const react = action === 'added' ? messageActions.addReaction : messageActions.removeReaction;
+        const { message, changed } = await react({ messageId, userId, emoji });
+        if (changed) {
+          emitToConversation(message, 'messageReaction', messageActions.messageReactionPayload(message, { userId, emoji, action }));
+        }
+      } catch (err) {
+        if (!err.code) console.error(`Error handling reaction (${action}):`, err);
+        socket.emit('messageReactionFailed', {
+          messageId: messageId || null,
+          emoji: emoji || null,
+          code: err.code || 'SERVER_ERROR',
+          error: err.code ? err.message : 'Failed to update reaction'
+        });
+      }
+    };
+    socket.on('addReaction', handleReaction('added'));
+    socket.on('removeReaction', handleReaction('removed'));
+
+    // Client acknowledges that a message was delivered to them. Room messages move the member's
+    // delivery cursor (lib/readReceipts.js); direct messages carry the status themselves
     socket.on('messageDelivered', async (data) => {
       const { messageId, clientTempId } = data || {};
-      if (!messageId) return;
+      if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) return;
 
       try {
-        const updated = await Chat.findByIdAndUpdate(messageId, {
-          status: 'delivered',
-          deliveredAt: new Date()
-        }, { new: true });
+        const message = await Chat.findById(messageId).select('sender receiver room threadRoot timestamp');
+        if (!message) return;
+
+        if (message.room) {
+          await readReceipts.advanceCursors(userId, [message], 'delivered');
+          return;
+        }
+        if (String(message.receiver) !== String(userId)) return;
+        delivery.acknowledge(messageId);
+
+        // A late or repeated ack (redelivery, reconnect replay) must not move a seen message back
+        const updated = await Chat.findOneAndUpdate(
+          { _id: messageId, status: { $in: ['queued', 'sent'] } },
+          { status: 'delivered', deliveredAt: new Date() },
+          { new: true }
+        );
 
         if (updated) {
           const senderId = (updated.sender || '').toString();
-          const ioInstance = global.__io;
-          if (ioInstance && senderId) {
-            const sockets = Array.from(ioInstance.of('/').sockets.values());
-            sockets.forEach(s => {
-              if (s.user && (s.user.userId === senderId || s.user.userId === senderId.toString())) {
-                console.log(`📨 Emitting messageStatusUpdate to sender (${senderId}): messageId=${messageId}, status=delivered`);
-                ioInstance.to(s.id).emit('messageStatusUpdate', {
-                  messageId: updated._id,
-                  status: 'delivered',
-                  clientTempId: clientTempId || null
-                });
-              }
+          if (senderId) {
+            console.log(`📨 Emitting messageStatusUpdate to sender (${senderId}): messageId=${messageId}, status=delivered`);
+            emitToUser(senderId, 'messageStatusUpdate', {
+              messageId: updated._id,
+              status: 'delivered',
+              clientTempId: clientTempId || null
             });
           }
         }
@@ -167,34 +325,40 @@ module.exports = (io, users, rooms, findUserByUserId) => {
       console.log(`👁️ messageSeen received for ${messageIds.length} messages from user ${userId}`);
 
       try {
-        const ioInstance = global.__io;
+        const seen = await Chat.find({ _id: { $in: messageIds.filter(id => mongoose.Types.ObjectId.isValid(id)) } })
+          .select('sender receiver room threadRoot timestamp');
+
+        // Room messages move the reader's own cursor; the room hears about it via roomReadReceipt
+        const moved = await readReceipts.advanceCursors(userId, seen.filter(message => message.room), 'read');
+        await readReceipts.notifyRoomReads(userId, moved);
 
-        for (const mid of messageIds) {
+        // Direct messages are always marked seen (for the reader's unread counts), but senders are
+        // only told when the reader sends read receipts
+        const direct = seen.filter(message => !message.room && String(message.receiver) === String(userId));
+        if (direct.length === 0) return;
+        const notifySenders = await sendsReadReceipts(userId);
+
+        for (const message of direct) {
+          delivery.acknowledge(message._id);
           try {
-            const updated = await Chat.findByIdAndUpdate(mid, {
+            const updated = await Chat.findByIdAndUpdate(message._id, {
               status: 'seen',
               seenAt: new Date()
             }, { new: true });
 
-            if (updated) {
+            if (updated && notifySenders) {
               const senderId = (updated.sender || '').toString();
-              console.log(`📕 Message ${mid} marked as seen, notifying sender (${senderId})`);
+              console.log(`📕 Message ${message._id} marked as seen, notifying sender (${senderId})`);
               
-              if (ioInstance && senderId) {
-                const sockets = Array.from(ioInstance.of('/').sockets.values());
-                sockets.forEach(s => {
-                  if (s.user && (s.user.userId === senderId || s.user.userId === senderId.toString())) {
-                    console.log(`   ✅ Emitting messageStatusUpdate (seen) to sender socket ${s.id}`);
-                    ioInstance.to(s.id).emit('messageStatusUpdate', {
-                      messageId: updated._id,
-                      status: 'seen'
-                    });
-                  }
+              if (senderId) {
+                emitToUser(senderId, 'messageStatusUpdate', {
+                  messageId: updated._id,
+                  status: 'seen'
                 });
               }
             }
           } catch (innerErr) {
-            console.error('Failed to update seen for message', mid, innerErr);
+            console.error('Failed to update seen for message', message._id, innerErr);
           }
         }
       } catch (err) {
@@ -203,18 +367,22 @@ module.exports = (io, users, rooms, findUserByUserId) => {
     });
 
     // Handle typing indicator
-    socket.on('typing', (data) => {
+    socket.on('typing', async (data) => {
       const { receiverId, roomId, isTyping } = data;
 
       if (receiverId) {
-        const receiverUser = findUserByUserId(receiverId);
-        if (receiverUser) {
-          io.to(receiverUser.socketId).emit('userTyping', {
-            userId,
-            username: socket.user.username,
-            isTyping
-          });
+        // Typing indicators are dropped silently between blocked users
+        try {
+          if (await isBlockedBetween(userId, receiverId)) return;
+        } catch (err) {
+          console.error('Failed to check block status for typing:', err);
+          return;
         }
+        io.to(userRoom(receiverId)).emit('userTyping', {
+          userId,
+          username: socket.user.username,
+          isTyping
+        });
       } else if (roomId) {
         socket.to(roomId).emit('userTyping', {
           userId,
@@ -225,10 +393,34 @@ module.exports = (io, users, rooms, findUserByUserId) => {
     });
 
     // WebRTC signaling events
-    socket.on('callUser', (data) => {
+    socket.on('callUser', async (data) => {
       const { to, offer, callType, roomId } = data;
       console.log(`📞 Call initiated: from=${userId} to=${to}, callType=${callType}, roomId=${roomId}`);
 
+      // Only users with a verified mobile number may place calls
+      try {
+        if (!(await User.exists({ _id: userId, verified: true }))) {
+          socket.emit('error', { message: 'Verify your mobile number before placing calls', code: 'MOBILE_NOT_VERIFIED' });
+          return;
+        }
+      } catch (err) {
+        console.error('Failed to check caller verification:', err);
+        return;
+      }
+
+      // Private calls are refused between blocked users
+      if (!roomId && to) {
+        try {
+          if (await isBlockedBetween(userId, to)) {
+            socket.emit('error', { message: 'You cannot call this user', code: 'USER_BLOCKED' });
+            return;
+          }
+        } catch (err) {
+          console.error('Failed to check block status for callUser:', err);
+          return;
+        }
+      }
+
       if (roomId) {
         // Group call - notify all room members except sender
         (async () => {
@@ -250,24 +442,29 @@ module.exports = (io, users, rooms, findUserByUserId) => {
           }
         })();
       } else {
-        // Private call
-        const toUser = findUserByUserId(to);
-
-        if (toUser) {
-          const targetSocket = io.sockets.sockets.get(toUser.socketId);
-          if (targetSocket) {
-            io.to(toUser.socketId).emit('incomingCall', {
+        // Private call - ring every device of the callee
+        (async () => {
+          try {
+            const targetSockets = await io.in(userRoom(to)).fetchSockets();
+            if (targetSockets.length === 0) {
+              socket.emit('userUnavailable', { to });
+              return;
+            }
+            io.to(userRoom(to)).emit('incomingCall', {
               from: userId,
               fromName: socket.user.username,
               offer,
               callType
             });
-            socket.emit('incomingCallDelivered', { to, socketId: toUser.socketId });
-          } else {
-            delete users[toUser.socketId];
-            socket.emit('userUnavailable', { to });
+            socket.emit('incomingCallDelivered', {
+              to,
+              socketId: targetSockets[0].id,
+              socketIds: targetSockets.map(s => s.id)
+            });
+          } catch (err) {
+            console.error('Error emitting incomingCall:', err);
           }
-        }
+        })();
       }
     });
 
@@ -281,13 +478,15 @@ module.exports = (io, users, rooms, findUserByUserId) => {
           roomId
         });
       } else {
-        const toUser = findUserByUserId(to);
-        if (toUser) {
-          io.to(toUser.socketId).emit('callAnswered', {
-            from: userId,
-            answer
-          });
-        }
+        io.to(userRoom(to)).emit('callAnswered', {
+          from: userId,
+          answer
+        });
+        // Stop the call ringing on the callee's other devices
+        socket.to(userRoom(userId)).emit('callAnsweredElsewhere', {
+          from: to,
+          socketId: socket.id
+        });
       }
     });
 
@@ -301,13 +500,10 @@ module.exports = (io, users, rooms, findUserByUserId) => {
           roomId
         });
       } else {
-        const toUser = findUserByUserId(to);
-        if (toUser) {
-          io.to(toUser.socketId).emit('iceCandidate', {
-            from: userId,
-            candidate
-          });
-        }
+        io.to(userRoom(to)).emit('iceCandidate', {
+          from: userId,
+          candidate
+        });
       }
     });
 
@@ -320,12 +516,9 @@ module.exports = (io, users, rooms, findUserByUserId) => {
           roomId
         });
       } else {
-        const toUser = findUserByUserId(to);
-        if (toUser) {
-          io.to(toUser.socketId).emit('callEnded', {
-            from: userId
-          });
-        }
+        io.to(userRoom(to)).emit('callEnded', {
+          from: userId
+        });
       }
     });
 
@@ -334,13 +527,10 @@ module.exports = (io, users, rooms, findUserByUserId) => {
       const { from, to, callSessionId } = data;
       console.log(`📣 incomingCallAck from userId=${userId} (callee) to userId=${to || from} (caller)`);
       
-      const callerUser = findUserByUserId(to || from);
-      if (callerUser) {
-        io.to(callerUser.socketId).emit('incomingCallAck', {
-          from: userId,
-          callSessionId: callSessionId
-        });
-      }
+      io.to(userRoom(to || from)).emit('incomingCallAck', {
+        from: userId,
+        callSessionId: callSessionId
+      });
     });
 
     // Group call events
@@ -436,6 +626,12 @@ module.exports = (io, users, rooms, findUserByUserId) => {
       const user = users[socket.id];
       if (user) {
         const userId = user.userId;
+
+        // Remove from memory
+        delete users[socket.id];
+
+        // The user stays online while another device is still connected
+        if (findUserByUserId(userId)) return;
         
         // Update database immediately
         try {
@@ -450,13 +646,7 @@ module.exports = (io, users, rooms, findUserByUserId) => {
         }
 
         // Notify other clients
-        socket.broadcast.emit('userStatusChange', {
-          userId,
-          status: 'offline'
-        });
-
-        // Remove from memory
-        delete users[socket.id];
+        await announcePresence(userId, 'offline');
       }
     });
 
@@ -467,6 +657,14 @@ module.exports = (io, users, rooms, findUserByUserId) => {
       const user = users[socket.id];
       if (user) {
         const userId = user.userId;
+
+        // Another device of this user is still connected: just forget this socket
+        const hasOtherConnections = Object.keys(users).some(sid => users[sid].userId === userId && sid !== socket.id);
+        if (hasOtherConnections) {
+          delete users[socket.id];
+          return;
+        }
+
         user.status = 'offline';
         user.lastActive = new Date();
 
@@ -483,10 +681,7 @@ module.exports = (io, users, rooms, findUserByUserId) => {
         }
 
         // Broadcast offline status
-        socket.broadcast.emit('userStatusChange', {
-          userId,
-          status: 'offline'
-        });
+        await announcePresence(userId, 'offline');
 
         // Emit participant_disconnected to any call rooms the socket was part of
         Object.keys(rooms).forEach(roomId => {
@@ -535,5 +730,14 @@ module.exports = (io, users, rooms, findUserByUserId) => {
         socket.emit('pong');
       }
     });
+
+    // Next batch of undelivered messages, when pendingMessagesReplayed said there are more
+    socket.on('replayPendingMessages', () => {
+      delivery.replayPending(socket, userId).catch(err => console.error('Failed to replay pending messages:', err));
+    });
+
+    // Everything that arrived while this user was offline (after the handlers above are in place
+    // so the client's messageDelivered acks aren't missed)
+    delivery.replayPending(socket, userId).catch(err => console.error('Failed to replay pending messages:', err));
   });
 };
\ No newline at end of file
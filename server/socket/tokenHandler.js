@@ -0,0 +1,113 @@
+const connectDB = require('../../lib/db');
+const { verifyAccessToken, findFamily } = require('../../lib/tokens');
+const { refreshSession, isSessionActive } = require('../../lib/sessions');
+const { sessionRoom } = require('../utils/socketEmitter');
+
+// Warn the client this long before its access token runs out
+const EXPIRY_WARNING_MS = 60 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Lets long-lived sockets swap their access token without reconnecting (e.g. mid-call).
+ * The socket is disconnected once its current access token expires without being renewed.
+ */
+module.exports = (io, socket) => {
+  let warningTimer = null;
+  let expiryTimer = null;
+
+  const clearTimers = () => {
+    if (warningTimer) clearTimeout(warningTimer);
+    if (expiryTimer) clearTimeout(expiryTimer);
+    warningTimer = null;
+    expiryTimer = null;
+  };
+
+  const scheduleExpiry = () => {
+    clearTimers();
+    if (!socket.user || !socket.user.exp) return;
+
+    const expiresAt = socket.user.exp * 1000;
+    const remaining = expiresAt - Date.now();
+
+    // Long-lived API keys outlast what setTimeout can wait; check again later
+    if (remaining > MAX_TIMER_MS) {
+      expiryTimer = setTimeout(scheduleExpiry, MAX_TIMER_MS);
+      return;
+    }
+
+    warningTimer = setTimeout(() => {
+      socket.emit('tokenExpiring', { expiresAt: new Date(expiresAt) });
+    }, Math.max(remaining - EXPIRY_WARNING_MS, 0));
+
+    expiryTimer = setTimeout(() => {
+      console.log(`⌛ Access token expired for socket ${socket.id} (userId=${socket.userId}), disconnecting`);
+      socket.emit('tokenExpired', { expiresAt: new Date(expiresAt) });
+      socket.disconnect(true);
+    }, Math.max(remaining, 0));
+  };
+
+  // Swap in a new token payload, refusing tokens that belong to another user
+  const applyToken = (decoded) => {
+    if (String(decoded.userId) !== String(socket.userId)) {
+      throw new Error('Token belongs to a different user');
+    }
+    // Follow the token into its session so remote sign-out still reaches this socket
+    if (decoded.sid !== socket.user.sid) {
+      if (socket.user.sid) socket.leave(sessionRoom(socket.user.sid));
+      if (decoded.sid) socket.join(sessionRoom(decoded.sid));
+    }
+    socket.user = decoded;
+    scheduleExpiry();
+  };
+
+  const reply = (ack, event, payload) => {
+    if (typeof ack === 'function') ack(payload);
+    else socket.emit(event, payload);
+  };
+
+  // Client already renewed over REST and hands the socket its new access token
+  socket.on('updateAuthToken', async (data, ack) => {
+    try {
+      const { token } = data || {};
+      if (!token) throw new Error('Token is required');
+      const decoded = verifyAccessToken(token);
+      await connectDB();
+      if (!(await isSessionActive(decoded.sid))) throw new Error('Session has been revoked');
+      applyToken(decoded);
+      reply(ack, 'authTokenUpdated', { success: true, expiresAt: new Date(socket.user.exp * 1000) });
+    } catch (err) {
+      console.warn(`Socket token update failed for ${socket.id}:`, err.message);
+      reply(ack, 'authTokenUpdated', { success: false, error: err.message });
+    }
+  });
+
+  // Client rotates its refresh token over the socket itself
+  socket.on('refreshAuth', async (data, ack) => {
+    try {
+      await connectDB();
+      const { refreshToken } = data || {};
+      const owner = await findFamily(refreshToken);
+      if (owner && owner.userId !== String(socket.userId)) {
+        throw new Error('Token belongs to a different user');
+      }
+      const result = await refreshSession(refreshToken, {
+        ip: socket.handshake.address,
+        userAgent: socket.handshake.headers?.['user-agent']
+      });
+      applyToken(verifyAccessToken(result.token));
+      reply(ack, 'authRefreshed', {
+        success: true,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      });
+    } catch (err) {
+      console.warn(`Socket auth refresh failed for ${socket.id}:`, err.message);
+      reply(ack, 'authRefreshed', { success: false, error: err.message, code: err.code || null });
+    }
+  });
+
+  socket.on('disconnect', clearTimers);
+
+  scheduleExpiry();
+};
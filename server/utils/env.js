@@ -58,6 +58,76 @@ const config = {
   ALLOWED_ORIGINS: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:5173'],
   JWT_SECRET: process.env.JWT_SECRET || 'supersecretkey',
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
+  // Short-lived access tokens paired with rotating refresh tokens
+  ACCESS_TOKEN_EXPIRES_IN: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10),
+
+  // Mobile number verification (OTP)
+  OTP_LENGTH: parseInt(process.env.OTP_LENGTH || '6', 10),
+  OTP_TTL_MS: parseInt(process.env.OTP_TTL_MS || String(5 * 60 * 1000), 10),
+  OTP_MAX_ATTEMPTS: parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10),
+  OTP_RESEND_COOLDOWN_MS: parseInt(process.env.OTP_RESEND_COOLDOWN_MS || String(60 * 1000), 10),
+  // SMS delivery: 'console' logs messages, 'file' appends them to SMS_OUTBOX_FILE
+  SMS_PROVIDER: (process.env.SMS_PROVIDER || 'console').toLowerCase(),
+  SMS_OUTBOX_FILE: process.env.SMS_OUTBOX_FILE || 'tmp/sms-outbox.log',
+  // Email delivery: 'console' logs messages, 'file' appends them to EMAIL_OUTBOX_FILE
+  EMAIL_PROVIDER: (process.env.EMAIL_PROVIDER || 'console').toLowerCase(),
+  EMAIL_OUTBOX_FILE: process.env.EMAIL_OUTBOX_FILE || 'tmp/email-outbox.log',
+
+  // Password reset
+  PASSWORD_RESET_TTL_MS: parseInt(process.env.PASSWORD_RESET_TTL_MS || String(30 * 60 * 1000), 10),
+  PASSWORD_RESET_URL: process.env.PASSWORD_RESET_URL || '',
+  PASSWORD_MIN_LENGTH: parseInt(process.env.PASSWORD_MIN_LENGTH || '6', 10),
+
+  // Login brute-force protection
+  LOGIN_MAX_FAILED_ATTEMPTS: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10),
+  LOGIN_LOCKOUT_MS: parseInt(process.env.LOGIN_LOCKOUT_MS || String(15 * 60 * 1000), 10),
+  LOGIN_BASE_DELAY_MS: parseInt(process.env.LOGIN_BASE_DELAY_MS || '1000', 10),
+  LOGIN_MAX_DELAY_MS: parseInt(process.env.LOGIN_MAX_DELAY_MS || String(30 * 1000), 10),
+  LOGIN_IP_MAX_FAILED_ATTEMPTS: parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS || '20', 10),
+  LOGIN_IP_WINDOW_MS: parseInt(process.env.LOGIN_IP_WINDOW_MS || String(15 * 60 * 1000), 10),
+  // Two-factor authentication
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'Vaani',
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  TWO_FACTOR_BACKUP_CODE_COUNT: parseInt(process.env.TWO_FACTOR_BACKUP_CODE_COUNT || '10', 10),
+  // Uploaded files: 'local' stores blobs under UPLOAD_DIR (see lib/storage/blobStore.js)
+  STORAGE_PROVIDER: (process.env.STORAGE_PROVIDER || 'local').toLowerCase(),
+  UPLOAD_DIR: process.env.UPLOAD_DIR || 'uploads',
+  AVATAR_MAX_BYTES: parseInt(process.env.AVATAR_MAX_BYTES || String(5 * 1024 * 1024), 10),
+  // Chat attachments: size/type limits, files per message, and how long unsent uploads are kept
+  ATTACHMENT_MAX_BYTES: parseInt(process.env.ATTACHMENT_MAX_BYTES || String(25 * 1024 * 1024), 10),
+  ATTACHMENT_MIME_TYPES: (process.env.ATTACHMENT_MIME_TYPES || [
+    'image/jpeg', 'image/png', 'image/webp', 'image/gif',
+    'video/mp4', 'video/webm',
+    'audio/mpeg', 'audio/ogg', 'audio/webm', 'audio/mp4', 'audio/wav',
+    'application/pdf', 'text/plain', 'application/zip',
+    'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ].join(',')).split(',').map(type => type.trim().toLowerCase()).filter(Boolean),
+  ATTACHMENT_MAX_PER_MESSAGE: parseInt(process.env.ATTACHMENT_MAX_PER_MESSAGE || '10', 10),
+  ATTACHMENT_UNSENT_TTL_MS: parseInt(process.env.ATTACHMENT_UNSENT_TTL_MS || String(24 * 60 * 60 * 1000), 10),
+  // Voice notes: clip limits and how many are transcribed at once
+  VOICE_NOTE_MAX_BYTES: parseInt(process.env.VOICE_NOTE_MAX_BYTES || String(10 * 1024 * 1024), 10),
+  VOICE_NOTE_MAX_DURATION_MS: parseInt(process.env.VOICE_NOTE_MAX_DURATION_MS || String(5 * 60 * 1000), 10),
+  VOICE_NOTE_TRANSCRIPTION_CONCURRENCY: parseInt(process.env.VOICE_NOTE_TRANSCRIPTION_CONCURRENCY || '2', 10),
+  // Account deletion: grace period before the purge and how often due accounts are swept
+  ACCOUNT_DELETION_GRACE_DAYS: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10),
+  ACCOUNT_DELETION_SWEEP_INTERVAL_MS: parseInt(process.env.ACCOUNT_DELETION_SWEEP_INTERVAL_MS || String(60 * 60 * 1000), 10),
+  // Messages: how long after sending the sender may still edit, and distinct reactions per user
+  MESSAGE_EDIT_WINDOW_MS: parseInt(process.env.MESSAGE_EDIT_WINDOW_MS || String(15 * 60 * 1000), 10),
+  MESSAGE_MAX_REACTIONS_PER_USER: parseInt(process.env.MESSAGE_MAX_REACTIONS_PER_USER || '3', 10),
+  // Delivery: wait before pushing an unacked message again (doubles each attempt), attempts before
+  // it waits for the next reconnect, and messages replayed per reconnect
+  MESSAGE_ACK_TIMEOUT_MS: parseInt(process.env.MESSAGE_ACK_TIMEOUT_MS || '10000', 10),
+  MESSAGE_DELIVERY_MAX_ATTEMPTS: parseInt(process.env.MESSAGE_DELIVERY_MAX_ATTEMPTS || '5', 10),
+  MESSAGE_REPLAY_BATCH_SIZE: parseInt(process.env.MESSAGE_REPLAY_BATCH_SIZE || '200', 10),
+  // Background translations of new messages running at once
+  MESSAGE_TRANSLATION_CONCURRENCY: parseInt(process.env.MESSAGE_TRANSLATION_CONCURRENCY || '4', 10),
+  // How long a clientTempId / Idempotency-Key keeps deduplicating a sender's retries
+  MESSAGE_IDEMPOTENCY_WINDOW_MS: parseInt(process.env.MESSAGE_IDEMPOTENCY_WINDOW_MS || String(24 * 60 * 60 * 1000), 10),
+  // Express 'trust proxy' setting so req.ip is the client address behind a load balancer
+  TRUST_PROXY: process.env.TRUST_PROXY || '',
   PORT: parseInt(process.env.PORT || '3001', 10),
   SOCKET_PING_TIMEOUT: parseInt(process.env.SOCKET_PING_TIMEOUT || '30000', 10),
   SOCKET_PING_INTERVAL: parseInt(process.env.SOCKET_PING_INTERVAL || '10000', 10),
@@ -0,0 +1,32 @@
+const { config } = require('./env');
+const { translateText } = require('./speechTranslator');
+
+const baseLanguage = (language) => (language ? String(language).split('-')[0].toLowerCase() : '');
+
+/**
+ * Translate a chat message's text into each target language.
+ * Returns a plain { [language]: text } object; the source language and failed translations are
+ * left out (translateText falls back to the input text, which we don't want to persist).
+ */
+async function translateToLanguages(text, sourceLanguage, targetLanguages) {
+  if (!text || !text.trim() || !config.AZURE_TRANSLATOR_KEY) return {};
+
+  const source = baseLanguage(sourceLanguage);
+  const targets = [...new Set((targetLanguages || []).filter(Boolean).map(String))]
+    .filter(language => baseLanguage(language) !== source);
+
+  const results = await Promise.all(targets.map(async (language) => {
+    const translated = await translateText(text, sourceLanguage, language);
+    return [language, translated];
+  }));
+
+  const translations = {};
+  for (const [language, translated] of results) {
+    if (translated && translated !== text) translations[language] = translated;
+  }
+  return translations;
+}
+
+module.exports = {
+  translateToLanguages
+};
@@ -0,0 +1,132 @@
+// Helpers for reaching every live socket of a user (all devices/tabs) or of a single session.
+// Each socket joins `user:<userId>` and `session:<sessionId>` rooms when it connects.
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const apiKeyRoom = (apiKeyId) => `apikey:${apiKeyId}`;
+
+const getIo = () => global.__io;
+
+/**
+ * Emit an event to every connected socket of a user
+ */
+function emitToUser(userId, event, payload) {
+  const io = getIo();
+  if (!io || !userId) return;
+  io.to(userRoom(String(userId))).emit(event, payload);
+}
+
+/**
+ * Emit an event to every connected socket of several users
+ */
+function emitToUsers(userIds, event, payload) {
+  const io = getIo();
+  if (!io || !userIds || userIds.length === 0) return;
+  const targets = [...new Set(userIds.map(id => userRoom(String(id))))];
+  io.to(targets).emit(event, payload);
+}
+
+/**
+ * Socket ids currently connected for a user
+ */
+async function getUserSocketIds(userId) {
+  const io = getIo();
+  if (!io || !userId) return [];
+  const sockets = await io.in(userRoom(String(userId))).fetchSockets();
+  return sockets.map(s => s.id);
+}
+
+async function isUserOnline(userId) {
+  const socketIds = await getUserSocketIds(userId);
+  return socketIds.length > 0;
+}
+
+/**
+ * Subset of `userIds` with at least one connected socket (single fetch for the whole list)
+ */
+async function getOnlineUserIds(userIds) {
+  const io = getIo();
+  if (!io || !userIds || userIds.length === 0) return new Set();
+  const wanted = new Set(userIds.map(String));
+  const sockets = await io.in([...wanted].map(userRoom)).fetchSockets();
+  const online = new Set();
+  for (const s of sockets) {
+    for (const room of s.rooms) {
+      if (room.startsWith('user:') && wanted.has(room.slice(5))) online.add(room.slice(5));
+    }
+  }
+  return online;
+}
+
+/**
+ * Ids of every user with a connected socket on this server (from the adapter's `user:` rooms)
+ */
+function getConnectedUserIds() {
+  const io = getIo();
+  if (!io) return [];
+  const ids = [];
+  for (const room of io.of('/').adapter.rooms.keys()) {
+    if (room.startsWith('user:')) ids.push(room.slice(5));
+  }
+  return ids;
+}
+
+/**
+ * Disconnect the sockets opened with a given session (remote sign-out)
+ */
+function disconnectSession(sessionId, reason = 'session_revoked') {
+  const io = getIo();
+  if (!io || !sessionId) return;
+  io.to(sessionRoom(String(sessionId))).emit('sessionRevoked', { sessionId: String(sessionId), reason });
+  io.in(sessionRoom(String(sessionId))).disconnectSockets(true);
+}
+
+/**
+ * Disconnect every socket of a user
+ */
+function disconnectUser(userId, reason = 'session_revoked') {
+  const io = getIo();
+  if (!io || !userId) return;
+  io.to(userRoom(String(userId))).emit('sessionRevoked', { reason });
+  io.in(userRoom(String(userId))).disconnectSockets(true);
+}
+
+/**
+ * Emit an event about a persisted message to its conversation: the room, or both sides of a DM
+ * (every device of the receiver and of the sender)
+ */
+function emitToConversation(message, event, payload) {
+  const io = getIo();
+  if (!io || !message) return;
+  if (message.room) {
+    io.to(String(message.room)).emit(event, payload);
+  } else {
+    io.to([message.sender, message.receiver].filter(Boolean).map(id => userRoom(String(id._id || id)))).emit(event, payload);
+  }
+}
+
+/**
+ * Disconnect the bot sockets that authenticated with an API key (key revoked)
+ */
+function disconnectApiKey(apiKeyId, reason = 'api_key_revoked') {
+  const io = getIo();
+  if (!io || !apiKeyId) return;
+  io.to(apiKeyRoom(String(apiKeyId))).emit('sessionRevoked', { reason });
+  io.in(apiKeyRoom(String(apiKeyId))).disconnectSockets(true);
+}
+
+module.exports = {
+  userRoom,
+  sessionRoom,
+  apiKeyRoom,
+  disconnectApiKey,
+  emitToConversation,
+  emitToUser,
+  emitToUsers,
+  getUserSocketIds,
+  isUserOnline,
+  getOnlineUserIds,
+  getConnectedUserIds,
+  disconnectSession,
+  disconnectUser
+};
@@ -0,0 +1,55 @@
+// HTTP side of lib/loginThrottle.js, shared by every endpoint that checks a password or 2FA code
+// (login, and re-authentication for sensitive account actions) so they all count towards the
+// same lockout.
+const loginThrottle = require('../../lib/loginThrottle');
+
+const BLOCK_REASONS = {
+  ACCOUNT_LOCKED: 'locked',
+  LOGIN_THROTTLED: 'throttled',
+  IP_BLOCKED: 'ip_blocked'
+};
+
+// Locked accounts get 423 with the unlock time; throttled accounts/IPs get 429
+const sendThrottled = (res, err) => {
+  const retryAfter = Math.ceil((err.retryAfterMs || 0) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(err.code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+    error: err.message,
+    code: err.code,
+    retryAfter,
+    lockedUntil: err.lockedUntil || null
+  });
+};
+
+// Returns true (after responding) when this account/IP may not attempt a login right now
+const rejectIfThrottled = async (res, attempt) => {
+  try {
+    await loginThrottle.assertCanAttempt({ user: attempt.user, ip: attempt.ip });
+    return false;
+  } catch (throttleErr) {
+    if (!BLOCK_REASONS[throttleErr.code]) throw throttleErr;
+    await loginThrottle.recordBlocked({ ...attempt, reason: BLOCK_REASONS[throttleErr.code] });
+    sendThrottled(res, throttleErr);
+    return true;
+  }
+};
+
+// Count a wrong password/code; answers 400, or 423 when this failure locked the account
+const rejectFailedAttempt = async (res, attempt, { reason, body }) => {
+  const state = await loginThrottle.recordFailure({ ...attempt, reason });
+  if (state.locked) {
+    return sendThrottled(res, {
+      message: 'Account temporarily locked due to too many failed login attempts',
+      code: 'ACCOUNT_LOCKED',
+      lockedUntil: state.lockedUntil,
+      retryAfterMs: state.lockedUntil.getTime() - Date.now()
+    });
+  }
+  return res.status(400).json(body);
+};
+
+module.exports = {
+  sendThrottled,
+  rejectIfThrottled,
+  rejectFailedAttempt
+};